@@ -6,6 +6,10 @@
 // USBR station codes: verify at https://www.usbr.gov/pn/hydromet/
 // =====================================================================
 
+// Optional per-station fields:
+//   sources: { waterTemp: ['NWRFC', 'USBR'] }  — source priority per parameter (see SOURCES)
+//   trend:   { discharge: { rate: 2 } }         — trend thresholds (see TRENDS)
+//   tempUse: 'coreSummer'                        — WA Ecology aquatic life use (see WATER TEMPERATURE)
 const STATIONS = [
   {
     id:        'easton',
@@ -16,6 +20,7 @@ const STATIONS = [
     nwsLid:    'EASW1',     // NWS/NWRFC — forecast
     lat: 47.2457, lng: -121.1859,
     color: '#7aa2f7',
+    tempUse: 'coreSummer',   // mainstem above the Cle Elum River
   },
   {
     id:        'cle_res',
@@ -26,6 +31,7 @@ const STATIONS = [
     nwsLid:    'CLEW1',     // NWS/NWRFC — forecast
     lat: 47.2318, lng: -121.0604,
     color: '#9d7cd8',
+    tempUse: 'coreSummer',   // Cle Elum River below the dam
   },
   {
     id:        'cle_elum',
@@ -36,6 +42,7 @@ const STATIONS = [
     nwsLid:    'YUMW1',     // NWS/NWRFC — forecast
     lat: 47.1954, lng: -120.9363,
     color: '#7dcfff',
+    tempUse: 'spawning',     // mainstem below the Cle Elum River
   },
   {
     id:        'teanaway',
@@ -46,6 +53,8 @@ const STATIONS = [
     nwsLid:    'TNAW1',     // NWS/NWRFC — forecast
     lat: 47.2582, lng: -120.8617,
     color: '#9ece6a',
+    tempUse: 'coreSummer',   // Teanaway River
+    trend: { discharge: { rate: 2, swing: 10 } },  // small tributary — see TREND_DEFAULTS
   },
   {
     id:        'horlick',
@@ -57,6 +66,7 @@ const STATIONS = [
     nwsLid:    'HLKW1',     // NWS/NWRFC — forecast
     lat: 47.0382, lng: -120.7221,
     color: '#e0af68',
+    tempUse: 'spawning',     // mainstem below the Cle Elum River
   },
   {
     id:        'umtanum',
@@ -67,51 +77,234 @@ const STATIONS = [
     nwsLid:    'UMTW1',     // NWS/NWRFC — forecast
     lat: 46.8615, lng: -120.4715,
     color: '#f7768e',
+    tempUse: 'spawning',     // mainstem below the Cle Elum River
   },
 ];
 
+// Upper-basin locations list the SNOTEL sites whose snowpack their forecast
+// stands for (see RAIN ON SNOW)
 const WEATHER_LOCATIONS = [
-  { name: 'Cle Elum',   lat: 47.1954, lng: -120.9363 },
+  { name: 'Cle Elum',   lat: 47.1954, lng: -120.9363, snotel: ['791:WA:SNTL', '672:WA:SNTL', '899:WA:SNTL', '478:WA:SNTL', '734:WA:SNTL'] },
   { name: 'Thorp',      lat: 47.0615, lng: -120.6793 },
   { name: 'Ellensburg', lat: 46.9965, lng: -120.5478 },
 ];
 
 const REFRESH_MS = 15 * 60 * 1000;  // 15 minutes
 
+// Yakima Project storage reservoirs (USBR Hydromet). Capacity is active
+// storage in acre-feet; the five total ~1.065 MAF.
+// Verify at https://www.usbr.gov/pn/hydromet/yakima/
+const RESERVOIRS = [
+  { id: 'keechelus', name: 'Keechelus', usbrId: 'KEE', capacity: 157800, color: '#7aa2f7' },
+  { id: 'kachess',   name: 'Kachess',   usbrId: 'KAC', capacity: 239000, color: '#7dcfff' },
+  { id: 'cle_elum',  name: 'Cle Elum',  usbrId: 'CLE', capacity: 436900, color: '#9d7cd8' },
+  { id: 'bumping',   name: 'Bumping',   usbrId: 'BUM', capacity:  33700, color: '#9ece6a' },
+  { id: 'rimrock',   name: 'Rimrock',   usbrId: 'RIM', capacity: 198000, color: '#e0af68' },
+];
+
+// NRCS SNOTEL sites feeding the Upper Yakima and Naches. Triplets are
+// id:state:network for the AWDB REST API; elevations in feet.
+// Verify site ids/coords at https://wcc.sc.egov.usda.gov/nwcc/site?sitenum=<id>
+const SNOTEL_SITES = [
+  { triplet: '791:WA:SNTL', name: 'Stampede Pass',   lat: 47.2743, lng: -121.3418, elev: 3850, basin: 'Upper Yakima' },
+  { triplet: '672:WA:SNTL', name: 'Olallie Meadows', lat: 47.3742, lng: -121.4426, elev: 4030, basin: 'Upper Yakima' },
+  { triplet: '899:WA:SNTL', name: 'Tinkham Creek',   lat: 47.3320, lng: -121.4697, elev: 2990, basin: 'Upper Yakima' },
+  { triplet: '478:WA:SNTL', name: 'Fish Lake',       lat: 47.5356, lng: -121.0697, elev: 3430, basin: 'Upper Yakima' },
+  { triplet: '734:WA:SNTL', name: 'Sasse Ridge',     lat: 47.3848, lng: -121.0630, elev: 4340, basin: 'Upper Yakima' },
+  { triplet: '375:WA:SNTL', name: 'Bumping Ridge',   lat: 46.8103, lng: -121.3313, elev: 4610, basin: 'Naches' },
+];
+
+// Counties the dashboard's stations lie in, by SAME code (state + county
+// FIPS) → county UGC code. Every NWS alert lists the counties it covers in
+// geocode.SAME, zone-based products included — a winter storm warning for
+// an east-slope forecast zone (WAZ…) still names Kittitas or Yakima — so
+// matching counties catches both without a hand-kept forecast-zone list.
+// Chelan County, which the old areaDesc match also took, is left out: it
+// drains to the Wenatchee and the Columbia, not the Yakima, and none of
+// the stations or SNOTEL sites here is in it.
+const ALERT_COUNTIES = {
+  '053037': 'WAC037',   // Kittitas County
+  '053077': 'WAC077',   // Yakima County
+};
+
+// NWS products shown in the alert panel, grouped for colour
+const ALERT_EVENTS = {
+  hydro: [
+    'Flood Warning', 'Flood Watch', 'Flood Advisory', 'Flood Statement',
+    'Flash Flood Warning', 'Flash Flood Watch', 'Flash Flood Statement',
+    'Hydrologic Outlook',
+  ],
+  winter: [
+    'Winter Storm Warning', 'Winter Storm Watch', 'Winter Weather Advisory',
+    'Blizzard Warning', 'Ice Storm Warning', 'Avalanche Warning', 'Avalanche Watch',
+    'Extreme Cold Warning', 'Extreme Cold Watch', 'Cold Weather Advisory',
+  ],
+  heat: [
+    'Excessive Heat Warning', 'Excessive Heat Watch',
+    'Extreme Heat Warning', 'Extreme Heat Watch', 'Heat Advisory',
+  ],
+};
+
+const ALERT_CATEGORY_COLORS = { hydro: '#7dcfff', winter: '#bb9af7', heat: '#ff9e64' };
+const ALERT_SEVERITY_RANK   = { Extreme: 4, Severe: 3, Moderate: 2, Minor: 1, Unknown: 0 };
+
+// Data-quality qualifiers carried on each reading. USGS codes per
+// https://help.waterdata.usgs.gov/codes-and-parameters/instantaneous-value-qualification-code-uv_rmk_cd
+// `warn` codes are shaded on the hydrograph and flagged on the card;
+// P (provisional) is normal for recent data and only noted.
+const QUALIFIERS = {
+  P:     { label: 'Provisional',             color: '#565f89', warn: false },
+  A:     { label: 'Approved',                color: '#565f89', warn: false },
+  e:     { label: 'Estimated',               color: '#e0af68', warn: true },
+  Ice:   { label: 'Ice affected',            color: '#7dcfff', warn: true },
+  Eqp:   { label: 'Equipment malfunction',   color: '#f7768e', warn: true },
+  Bkw:   { label: 'Backwater',               color: '#e0af68', warn: true },
+  Fld:   { label: 'Flood damage',            color: '#f7768e', warn: true },
+  Mnt:   { label: 'Maintenance',             color: '#e0af68', warn: true },
+  Rat:   { label: 'Rating being developed',  color: '#e0af68', warn: true },
+  Dis:   { label: 'Discontinued',            color: '#565f89', warn: true },
+  Ssn:   { label: 'Seasonal',                color: '#565f89', warn: true },
+  '***': { label: 'Temporarily unavailable', color: '#565f89', warn: true },
+  Mis:   { label: 'Missing or flagged',      color: '#ff9e64', warn: true },
+};
+
+// Ranges longer than this switch to daily-mean sources (USGS dv, Hydromet daily)
+const DAILY_THRESHOLD_DAYS = 31;
+
+// NWS flood categories, lowest first. Colours follow the NWS hydrograph
+// convention (action yellow → major purple) using the Tokyo Night palette.
+const FLOOD_CATEGORIES = [
+  { key: 'action',   label: 'Action',   color: '#e0af68' },
+  { key: 'minor',    label: 'Minor',    color: '#ff9e64' },
+  { key: 'moderate', label: 'Moderate', color: '#f7768e' },
+  { key: 'major',    label: 'Major',    color: '#bb9af7' },
+];
+
+// Display units. Data is always held in US customary units (cfs, °F, ft,
+// acre-feet, inches, mph) as parsed; the metric system converts at display
+// time only, so switching never refetches. Exports stay in source units.
+const UNITS = {
+  flow:   { imperial: 'cfs',      metric: 'm\u00b3/s', toMetric: v => v * 0.0283168,         fromMetric: v => v / 0.0283168 },
+  temp:   { imperial: '\u00b0F', metric: '\u00b0C',   toMetric: v => (v - 32) * 5 / 9,      fromMetric: v => v * 9 / 5 + 32 },
+  length: { imperial: 'ft',       metric: 'm',          toMetric: v => v * 0.3048,            fromMetric: v => v / 0.3048 },
+  volume: { imperial: 'af',       metric: 'hm\u00b3',  toMetric: v => v * 0.00123348,        fromMetric: v => v / 0.00123348 },
+  depth:  { imperial: 'in',       metric: 'mm',         toMetric: v => v * 25.4,              fromMetric: v => v / 25.4 },
+  speed:  { imperial: 'mph',      metric: 'km/h',       toMetric: v => v * 1.609344,          fromMetric: v => v / 1.609344 },
+};
+
 // =====================================================================
 // STATE
 // =====================================================================
 
 const state = {
-  currentDays:  7,
+  currentDays:  7,      // number of days, or 'wytd' (water year to date)
+  customRange:  null,   // { start: Date, end: Date } — overrides currentDays
   isRefreshing: false,
+  reloadQueued: false,  // a range change arrived mid-refresh — see reloadStations
   lastRefresh:  null,
-  stationData:  {},   // { id: {discharge, waterTemp, gageHeight, source} }
+  stationData:  {},   // { id: {discharge, waterTemp, gageHeight, forecast, stageForecast, thresholds, sources} }
+  gaugeMeta:    {},   // { nwsLid: flood thresholds } — fetched once per session
+  flowStats:    {},   // { stationId: { stats, expires } } — see STATISTICS
   weatherData:  {},   // { name: open-meteo json }
+  compare:      null,  // { ids, scale, shifts } — see COMPARISON
+  travel:       [],    // [{ from, to, lag, projection }] — see TRAVEL TIME
+  reservoirData: {},  // { reservoirId: {storage, elevation, inflow, outflow} }
+  snotelData:   {},   // { triplet: [{time, value, median}] } — SWE inches
+  snotelFocus:  'basin',
+  snotelMarkers: {},
+  units:        loadJSON('yakima.units', 'imperial') === 'metric' ? 'metric' : 'imperial',  // see UNITS; any other stored value → imperial
+  hydroView:    loadJSON('yakima.hydroView', {}),      // { stationId: 'stage' } — see hydrographView
+  windyOverlay: 'rain',
+  focusStation: null,   // station id highlighted via ?station= — see DEEP LINKS
+  mapView:      null,   // { lat, lng, zoom } once the user pans/zooms
+  detailStation: null,  // station id shown full-size via ?detail= — see STATION DETAIL
   charts:       {},   // { stationId | 'wx_'+name: Chart }
   map:          null,
   markers:      {},   // { stationId: L.circleMarker }
+  reachLines:   {},   // { reachId: L.polyline } — see CONDITIONS
+  alertLayer:   null, // L.layerGroup of NWS alert polygons
+  alertDraws:   0,    // bumped per renderAlertPolygons call; older draws are dropped
+  zoneGeometry: {},   // { zoneUrl: GeoJSON geometry }
 };
 
 // =====================================================================
 // UTILITIES
 // =====================================================================
 
-function fmtCfs(v) {
+/** Canonical value → display units (see UNITS). */
+function toUnit(kind, v) {
+  if (v === null || v === undefined || isNaN(v)) return v;
+  return state.units === 'metric' ? UNITS[kind].toMetric(v) : v;
+}
+
+/** Display units → canonical value, e.g. a rule threshold typed in °C. */
+function fromUnit(kind, v) {
+  return state.units === 'metric' ? UNITS[kind].fromMetric(v) : v;
+}
+
+// Differences (rates, deltas) convert without the °F offset
+function toUnitDelta(kind, v) {
+  if (v === null || v === undefined || isNaN(v)) return v;
+  return toUnit(kind, v) - toUnit(kind, 0);
+}
+
+function fromUnitDelta(kind, v) {
+  return fromUnit(kind, v) - fromUnit(kind, 0);
+}
+
+function unitLabel(kind) {
+  return UNITS[kind][state.units];
+}
+
+/** Format a flow already in display units (no unit suffix). */
+function fmtFlowNum(v) {
   if (v === null || v === undefined || isNaN(v)) return '—';
+  if (state.units === 'metric') {
+    return v >= 100
+      ? v.toLocaleString('en-US', { maximumFractionDigits: 0 })
+      : v.toFixed(v >= 10 ? 1 : 2);
+  }
   return v >= 1000
     ? v.toLocaleString('en-US', { maximumFractionDigits: 0 })
     : v.toFixed(v >= 10 ? 0 : 1);
 }
 
+/** Flow in cfs → display string (no unit suffix; pair with unitLabel('flow')). */
+function fmtFlow(cfs) {
+  return fmtFlowNum(toUnit('flow', cfs));
+}
+
 function fmtTemp(v) {
   if (v === null || v === undefined || isNaN(v)) return null;
-  return v.toFixed(1) + '\u00b0F';
+  return toUnit('temp', v).toFixed(1) + unitLabel('temp');
+}
+
+function fmtStage(ft, digits = 2) {
+  if (ft === null || ft === undefined || isNaN(ft)) return '\u2014';
+  return `${toUnit('length', ft).toFixed(digits)} ${unitLabel('length')}`;
+}
+
+/** Elevation in ft → display string, rounded to `step` ft / m. */
+function fmtElevation(ft, step = 50) {
+  if (ft === null || ft === undefined || isNaN(ft)) return '\u2014';
+  return `${(Math.round(toUnit('length', ft) / step) * step).toLocaleString('en-US')} ${unitLabel('length')}`;
 }
 
-function fmtDateLabel(date) {
+function fmtDateLabel(date, withYear = false) {
   const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-  return `${months[date.getMonth()]} ${date.getDate()}`;
+  const label  = `${months[date.getMonth()]} ${date.getDate()}`;
+  return withYear ? `${label} '${String(date.getFullYear()).slice(2)}` : label;
+}
+
+function escapeHTML(str) {
+  return String(str ?? '').replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+  ));
+}
+
+function fmtDateTime(date) {
+  const p = n => String(n).padStart(2, '0');
+  return `${fmtDateLabel(date)} ${p(date.getHours())}:${p(date.getMinutes())}`;
 }
 
 function fmtAge(date) {
@@ -124,24 +317,150 @@ function fmtAge(date) {
   return `${Math.round(hrs / 24)}d ago`;
 }
 
+function fmtISODate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/** Oct 1 of the current water year (local midnight). */
+function waterYearStart(now = new Date()) {
+  return new Date(now.getMonth() >= 9 ? now.getFullYear() : now.getFullYear() - 1, 9, 1);
+}
+
+/**
+ * Resolve the selected range to concrete bounds:
+ *   { start, end, days, custom, daily }
+ * Rolling ranges end now; custom ranges have a fixed end and skip the
+ * forecast. daily = long enough to use daily-mean sources.
+ */
+function getRange() {
+  if (state.customRange) {
+    const { start, end } = state.customRange;
+    const days = Math.max(1, Math.ceil((end - start) / 86400000));
+    return { start, end, days, custom: true, daily: days > DAILY_THRESHOLD_DAYS };
+  }
+  return presetRange(state.currentDays);
+}
+
+/** Range ending now for a preset: a number of days, or 'wytd'. */
+function presetRange(currentDays) {
+  const end   = new Date();
+  const start = currentDays === 'wytd'
+    ? waterYearStart(end)
+    : new Date(end.getTime() - currentDays * 86400000);
+  const days  = Math.max(1, Math.ceil((end - start) / 86400000));
+  return { start, end, days, custom: false, daily: days > DAILY_THRESHOLD_DAYS };
+}
+
+/** Reading closest to time t (ms), or null if none within toleranceMs. */
+function valueNear(values, t, toleranceMs) {
+  let best = null;
+  for (const v of values ?? []) {
+    const d = Math.abs(v.time.getTime() - t);
+    if (d <= toleranceMs && (!best || d < Math.abs(best.time.getTime() - t))) best = v;
+  }
+  return best;
+}
+
 function getLatestValue(values) {
   if (!values || values.length === 0) return null;
   return values.reduce((best, v) => (v.time > best.time ? v : best));
 }
 
-function getTrend(values, hoursBack = 24) {
-  if (!values || values.length < 2) return 'stable';
+/**
+ * Classify the latest reading against NWS flood thresholds.
+ * Uses flow thresholds when the gauge has any, otherwise stage.
+ * Returns { kind, current, category, next } or null when there is nothing to
+ * compare; category is null below action stage, next is the next threshold up.
+ */
+function getFloodStatus(thresholds, latestQ, latestH) {
+  if (!thresholds) return null;
+  const hasFlow = FLOOD_CATEGORIES.some(c => thresholds.flow[c.key] != null);
+  const kind    = hasFlow ? 'flow' : 'stage';
+  if (!FLOOD_CATEGORIES.some(c => thresholds[kind][c.key] != null)) return null;
+  const current = kind === 'flow' ? latestQ?.value : latestH?.value;
+  if (current == null) return null;
+
+  let category = null;
+  let next     = null;
+  for (const cat of FLOOD_CATEGORIES) {
+    const t = thresholds[kind][cat.key];
+    if (t == null) continue;
+    if (current >= t) category = cat;
+    else if (!next) next = { ...cat, value: t, distance: t - current };
+  }
+  return { kind, current, category, next };
+}
+
+function qualifierInfo(code) {
+  return QUALIFIERS[code] ?? { label: code, color: '#e0af68', warn: true };
+}
+
+/** Warning-level qualifier codes on a reading ([] for good or provisional data). */
+function warnQualifiers(v) {
+  return (v?.qualifiers ?? []).filter(c => qualifierInfo(c).warn);
+}
+
+/** Codes explaining a missing reading; '***' (unavailable) when none say why. */
+function missingQualifiers(m) {
+  const codes = warnQualifiers(m);
+  return codes.length ? codes : ['***'];
+}
+
+/**
+ * Collapse flagged readings of one parameter into shaded regions:
+ * [{ start, end, code }]. Sources are readings with warning qualifiers and
+ * `missing` entries. Same-code flags less than maxGapMs apart merge.
+ */
+function buildQualifierRegions(values, missing, param, maxGapMs = 2 * 3600000) {
+  const flags = [
+    ...(values ?? []).map(v => ({ time: v.time, codes: warnQualifiers(v) })),
+    ...(missing ?? []).filter(m => m.param === param)
+      .map(m => ({ time: m.time, codes: missingQualifiers(m) })),
+  ].filter(f => f.codes.length).sort((a, b) => a.time - b.time);
+
+  const open    = {};   // code → region being extended
+  const regions = [];
+  for (const f of flags) {
+    for (const code of f.codes) {
+      const r = open[code];
+      if (r && f.time - r.end <= maxGapMs) { r.end = f.time; continue; }
+      open[code] = { start: f.time, end: f.time, code };
+      regions.push(open[code]);
+    }
+  }
+  return regions;
+}
+
+/**
+ * Qualifier state of the newest reading: warning codes on it, or — when
+ * the gauge has only reported missing values since — the codes on those.
+ * Returns { codes, since, noValue } or null when the latest reading is clean.
+ */
+function latestQualifierState(values, missing, param) {
   const latest = getLatestValue(values);
-  if (!latest) return 'stable';
-  const cutoff = latest.time.getTime() - hoursBack * 3600000;
-  const past   = values
-    .filter(v => v.time.getTime() <= cutoff)
-    .sort((a, b) => b.time - a.time)[0];
-  if (!past || past.value === 0) return 'stable';
-  const pct = (latest.value - past.value) / past.value;
-  if (pct >  0.10) return 'rising';
-  if (pct < -0.10) return 'falling';
-  return 'stable';
+  const after  = (missing ?? []).filter(m => m.param === param && (!latest || m.time > latest.time));
+  if (after.length) {
+    const codes = [...new Set(after.flatMap(missingQualifiers))];
+    return { codes, since: latest?.time ?? null, noValue: true };
+  }
+  const codes = warnQualifiers(latest);
+  return codes.length ? { codes, since: latest.time, noValue: false } : null;
+}
+
+function loadJSON(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key) ?? 'null') ?? fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function saveJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`[storage] ${key}: ${err.message}`);
+  }
 }
 
 /** Thin an array to at most maxCount evenly-spaced points. */
@@ -187,21 +506,177 @@ function wmoToDesc(c) {
 }
 
 // =====================================================================
-// API: USGS NWIS Instantaneous Values
+// REPLAY — recorded fixtures for offline demos and development
+//   ?mock=1             serve fixtures/baseline.json
+//   ?mock=<scenario>    serve fixtures/<scenario>.json (flood, outage, empty-csv)
+//   ?record=1           fetch live, keep every upstream response, and offer
+//                       them for download as a fixture file
+// Every upstream fetcher calls apiFetch() instead of fetch(), so replayed
+// responses go through the same parsers as live ones. A fixture entry is
+// found by its key — host + path plus the identifying query parameters in
+// FIXTURE_KEY_PARAMS, never the time window — or failing that by the
+// longest `match` prefix. Timestamps in replayed bodies are moved forward
+// by whole hours (whole days for date-only values) so the newest reading
+// looks current. A scenario may `extends` another fixture and override
+// its entries; an entry with `error` rejects like a network failure.
+//   fixture: { name, description, recordedAt, extends?,
+//              responses: [{ key | match, status, contentType, body } | { key | match, error }] }
+// Replay keeps its own IndexedDB cache, neither reads nor writes the
+// localStorage caches (flow stats, travel lags, SNOTEL), and skips
+// /api/basin and alert rules, so fixture data never mixes with real history.
+// The committed fixtures are synthetic, shaped like the live responses
+// (see each description); a ?record=1 capture can replace baseline.json
+// as-is, and the scenarios, which extend it, keep working on top.
+// =====================================================================
+
+const FIXTURE_KEY_PARAMS = ['sites', 'list', 'id', 'pe', 'latitude', 'longitude', 'area', 'stationTriplets'];
+
+const REPLAY = readReplayMode(typeof location !== 'undefined' ? location.search : '');
+
+let fixturePromise = null;
+
+/** { mode: 'mock' | 'record' | null, scenario, recorded } from the query string. */
+function readReplayMode(search) {
+  const params   = new URLSearchParams(search);
+  const mock     = params.get('mock');
+  const scenario = mock === '1' || mock === '' ? 'baseline' : mock;
+  if (mock !== null && /^[a-z0-9-]+$/.test(scenario)) return { mode: 'mock', scenario, recorded: null };
+  if (params.get('record') === '1') return { mode: 'record', scenario: null, recorded: new Map() };
+  return { mode: null, scenario: null, recorded: null };
+}
+
+function fixtureKey(url) {
+  const u    = new URL(url, 'http://fixture.local');
+  const base = u.host === 'fixture.local' ? u.pathname : u.host + u.pathname;
+  const ids  = FIXTURE_KEY_PARAMS.filter(p => u.searchParams.has(p)).map(p => `${p}=${u.searchParams.get(p)}`);
+  return `${base}?${ids.join('&')}`;
+}
+
+/** A fixture and everything it extends, one layer of entries each, base first. */
+async function loadFixture(name, seen = new Set()) {
+  if (seen.has(name)) throw new Error(`fixture ${name}: extends loop`);
+  seen.add(name);
+  const res = await fetch(`fixtures/${name}.json`);
+  if (!res.ok) throw new Error(`fixture ${name}: HTTP ${res.status}`);
+  const fixture = await res.json();
+  const hours   = Math.round((Date.now() - new Date(fixture.recordedAt).getTime()) / 3600000);
+  const own     = (fixture.responses ?? []).map(r => ({ ...r, shiftMs: hours * 3600000 }));
+  return fixture.extends ? [...await loadFixture(fixture.extends, seen), own] : [own];
+}
+
+/** Newest layer wins; within a layer an exact key beats the longest `match` prefix. */
+function findFixture(layers, key) {
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const exact = layers[i].findLast(e => e.key === key);
+    if (exact) return exact;
+    const prefix = layers[i]
+      .filter(e => e.match && key.startsWith(e.match))
+      .reduce((best, e) => (!best || e.match.length > best.match.length ? e : best), null);
+    if (prefix) return prefix;
+  }
+  return null;
+}
+
+/**
+ * Move every timestamp in a body forward by shiftMs, keeping its format:
+ * wall-clock times shift with their zone suffix untouched, date-only
+ * values by the nearest whole number of days.
+ */
+function shiftTimestamps(text, shiftMs) {
+  if (!shiftMs) return text;
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  const re  = /(\d{4})-(\d{2})-(\d{2})(?:([T ])(\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?/g;
+  return text.replace(re, (all, y, mo, d, sep, h, mi, sec, frac) => {
+    const wall = Date.UTC(+y, +mo - 1, +d, +(h ?? 0), +(mi ?? 0), +(sec ?? 0));
+    if (isNaN(wall)) return all;
+    const t = new Date(wall + (sep ? shiftMs : Math.round(shiftMs / 86400000) * 86400000));
+    const date = `${t.getUTCFullYear()}-${pad(t.getUTCMonth() + 1)}-${pad(t.getUTCDate())}`;
+    if (!sep) return date;
+    return `${date}${sep}${pad(t.getUTCHours())}:${pad(t.getUTCMinutes())}`
+      + (sec !== undefined ? `:${pad(t.getUTCSeconds())}${frac ?? ''}` : '');
+  });
+}
+
+/** fetch() for upstream APIs: replays fixtures, records, or passes through. */
+async function apiFetch(url, init) {
+  if (REPLAY.mode === 'mock') {
+    fixturePromise ??= loadFixture(REPLAY.scenario);
+    const key   = fixtureKey(url);
+    const entry = findFixture(await fixturePromise, key);
+    if (!entry) {
+      console.info(`[replay] no fixture for ${key}`);
+      return new Response(`No fixture for ${key}`, { status: 404 });
+    }
+    if (entry.error) throw new TypeError(entry.error);
+    return new Response(shiftTimestamps(entry.body ?? '', entry.shiftMs), {
+      status:  entry.status ?? 200,
+      headers: { 'Content-Type': entry.contentType ?? 'text/plain' },
+    });
+  }
+
+  const res = await fetch(url, init);
+  if (REPLAY.mode === 'record') {
+    const key = fixtureKey(url);
+    res.clone().text().then(body => {
+      REPLAY.recorded.set(key, { key, status: res.status, contentType: res.headers.get('content-type') ?? 'text/plain', body });
+      renderReplayBanner();
+    }).catch(() => {});
+  }
+  return res;
+}
+
+function saveRecording() {
+  downloadFile(`fixture_${exportStamp()}.json`, JSON.stringify({
+    name:        'recording',
+    description: `Recorded from ${location.host}`,
+    recordedAt:  new Date().toISOString(),
+    responses:   [...REPLAY.recorded.values()],
+  }, null, 2), 'application/json');
+}
+
+function renderReplayBanner() {
+  const el = document.getElementById('replay-banner');
+  if (!el || !REPLAY.mode) return;
+  el.classList.remove('hidden');
+  el.innerHTML = REPLAY.mode === 'mock'
+    ? `Replaying <strong>${REPLAY.scenario}</strong> fixtures \u2014 not live data`
+    : `Recording — ${REPLAY.recorded.size} response${REPLAY.recorded.size === 1 ? '' : 's'} captured
+       <button class="rule-btn" id="replay-save"${REPLAY.recorded.size ? '' : ' disabled'}>Save fixture</button>`;
+  document.getElementById('replay-save')?.addEventListener('click', saveRecording);
+}
+
+// =====================================================================
+// API: USGS NWIS Instantaneous / Daily Values
 // Docs: https://waterservices.usgs.gov/rest/IV-Service.html
+//       https://waterservices.usgs.gov/rest/DV-Service.html
+// Long ranges use the dv service (statCd 00003 = daily mean); both return
+// the same WaterML-JSON shape. Custom ranges use startDT/endDT;
+// incremental refreshes (range.since) ask only for data after that time.
 // =====================================================================
 
-async function fetchUSGS(siteId, days) {
+async function fetchUSGS(siteId, range) {
   const params = new URLSearchParams({
     sites:       siteId,
     parameterCd: '00060,00010,00065',   // discharge, water temp, gage height
-    period:      `P${days}D`,
     format:      'json',
   });
+  if (range.since) {
+    params.set('startDT', range.daily
+      ? fmtISODate(range.since)
+      : range.since.toISOString().slice(0, 16) + 'Z');
+  } else if (range.custom) {
+    params.set('startDT', fmtISODate(range.start));
+    params.set('endDT',   fmtISODate(range.end));
+  } else {
+    params.set('period', `P${range.days}D`);
+  }
+  if (range.daily) params.set('statCd', '00003');
+  const service = range.daily ? 'dv' : 'iv';
+
   const ctrl  = new AbortController();
   const timer = setTimeout(() => ctrl.abort(), 15000);
   try {
-    const res = await fetch(`https://waterservices.usgs.gov/nwis/iv/?${params}`, { signal: ctrl.signal });
+    const res = await apiFetch(`https://waterservices.usgs.gov/nwis/${service}/?${params}`, { signal: ctrl.signal });
     clearTimeout(timer);
     if (!res.ok) throw new Error(`USGS ${siteId}: HTTP ${res.status}`);
     const json = await res.json();
@@ -211,18 +686,31 @@ async function fetchUSGS(siteId, days) {
   }
 }
 
+/**
+ * Parse WaterML-JSON. Each value keeps its USGS qualifier codes
+ * (P, e, Ice, Eqp, …). Readings with no value (-999999 — usually Ice or
+ * Eqp) go to `missing` as { time, param, qualifiers } so the gap can be
+ * shown instead of silently dropped.
+ */
 function parseUSGSJSON(json) {
-  const out = { discharge: [], waterTemp: [], gageHeight: [], siteName: null };
+  const out = { discharge: [], waterTemp: [], gageHeight: [], missing: [], siteName: null };
+  const PARAM_BY_CODE = { '00060': 'discharge', '00010': 'waterTemp', '00065': 'gageHeight' };
   for (const ts of (json?.value?.timeSeries ?? [])) {
-    const code = ts?.variable?.variableCode?.[0]?.value;
+    const param = PARAM_BY_CODE[ts?.variable?.variableCode?.[0]?.value];
     if (!out.siteName) out.siteName = ts?.sourceInfo?.siteName ?? null;
-    const vals = (ts?.values?.[0]?.value ?? [])
-      .filter(v => v.value && v.value !== '-999999')
-      .map(v => ({ time: new Date(v.dateTime), value: parseFloat(v.value) }))
-      .filter(v => !isNaN(v.value));
-    if      (code === '00060') out.discharge  = vals;
-    else if (code === '00010') out.waterTemp  = vals.map(v => ({ ...v, value: v.value * 9 / 5 + 32 }));
-    else if (code === '00065') out.gageHeight = vals;
+    if (!param) continue;
+    for (const v of (ts?.values?.[0]?.value ?? [])) {
+      const time       = new Date(v.dateTime);
+      const value      = parseFloat(v.value);
+      const qualifiers = v.qualifiers ?? [];
+      if (isNaN(time.getTime())) continue;
+      if (isNaN(value) || v.value === '-999999') {
+        out.missing.push({ time, param, qualifiers });
+        continue;
+      }
+      // USGS reports water temp in °C — convert to °F
+      out[param].push({ time, value: param === 'waterTemp' ? value * 9 / 5 + 32 : value, qualifiers });
+    }
   }
   return out;
 }
@@ -231,38 +719,67 @@ function parseUSGSJSON(json) {
 // API: USBR HYDROMET (Pacific Northwest Region)
 // Docs: https://www.usbr.gov/pn/hydromet/
 // Correct format: ?list=STATION%20PARAM&back=HOURS&format=csv
+//            or:  ?list=STATION%20PARAM&start=YYYY-MM-DD&end=YYYY-MM-DD&format=csv
 // Returns CSV:  DateTime,station_param\n2026-02-18 17:30,326.57\n...
+// Long ranges use the daily archive (daily.pl, qd = mean daily discharge).
 //
 // CORS: USBR does NOT send Access-Control-Allow-Origin headers.
-// When served via server.py, requests go to /api/usbr (proxy).
+// When served via server.py / server.js, requests go to /api/usbr (proxy).
 // When opened as file://, direct fetch is attempted (will likely fail).
 // =====================================================================
 
+/**
+ * Whether CORS-less upstreams should go through the /api/* proxies: yes
+ * when the page is served over HTTP(S). Under file:// the direct URL is
+ * tried, and in Node (server.js) there is no CORS to get around.
+ */
+function useProxy() {
+  return typeof location !== 'undefined' && (location.protocol === 'http:' || location.protocol === 'https:');
+}
+
 function usbrProxyUrl(queryString) {
   // If running via HTTP (local dev server), use the proxy endpoint.
   // If opened as file://, try direct USBR URL (will likely be CORS-blocked).
-  if (location.protocol === 'http:' || location.protocol === 'https:') {
+  if (useProxy()) {
     return `/api/usbr?${queryString}`;
   }
   return `https://www.usbr.gov/pn-bin/instant.pl?${queryString}`;
 }
 
-async function fetchUSBR(stationId, days) {
-  // back= is in hours; USBR max is typically 8760 (1 year)
-  const hours = days * 24;
+function usbrDailyUrl(queryString) {
+  if (useProxy()) {
+    return `/api/usbr-daily?${queryString}`;
+  }
+  return `https://www.usbr.gov/pn-bin/daily.pl?${queryString}`;
+}
+
+async function fetchUSBR(stationId, range) {
   const stationLower = stationId.toLowerCase();
 
-  // Fetch discharge (Q) and water temp (TW) in one request.
   // Build query string manually: URLSearchParams encodes space as '+',
   // but USBR requires '%20'. The list param uses comma separator.
-  const qCode  = `${stationLower}%20q`;
-  const twCode = `${stationLower}%20tw`;
-  const qs     = `list=${qCode},${twCode}&back=${hours}&format=csv`;
+  let qs;
+  if (range.daily) {
+    // Daily archive carries mean discharge only
+    const start = range.since ?? range.start;
+    qs = `list=${stationLower}%20qd&start=${fmtISODate(start)}&end=${fmtISODate(range.end)}&format=csv`;
+  } else {
+    // Discharge (Q) and water temp (TW) in one request.
+    // back= is in hours; USBR max is typically 8760 (1 year)
+    const list  = `${stationLower}%20q,${stationLower}%20tw`;
+    const hours = range.since
+      ? Math.ceil((Date.now() - range.since.getTime()) / 3600000) + 1
+      : range.days * 24;
+    qs = range.custom
+      ? `list=${list}&start=${fmtISODate(range.start)}&end=${fmtISODate(range.end)}&format=csv`
+      : `list=${list}&back=${hours}&format=csv`;
+  }
+  const url = range.daily ? usbrDailyUrl(qs) : usbrProxyUrl(qs);
 
   const ctrl  = new AbortController();
-  const timer = setTimeout(() => ctrl.abort(), 12000);
+  const timer = setTimeout(() => ctrl.abort(), range.daily ? 20000 : 12000);
   try {
-    const res = await fetch(usbrProxyUrl(qs), { signal: ctrl.signal });
+    const res = await apiFetch(url, { signal: ctrl.signal });
     clearTimeout(timer);
     if (!res.ok) throw new Error(`USBR ${stationId}: HTTP ${res.status}`);
     const text = await res.text();
@@ -272,6 +789,12 @@ async function fetchUSBR(stationId, days) {
   }
 }
 
+// Hydromet fills gaps with this sentinel rather than leaving the cell blank
+const USBR_MISSING = 998877;
+
+// Qualifier code for USBR rows that are blank, non-numeric or the sentinel
+const USBR_MISSING_CODE = 'Mis';
+
 /**
  * Parse USBR Hydromet CSV response.
  * Header:  DateTime,easw_q,easw_tw
@@ -279,9 +802,11 @@ async function fetchUSBR(stationId, days) {
  *
  * Column names follow pattern: {station}_{param}
  * where param is 'q' (discharge cfs) or 'tw' (water temp °C).
+ * The daily archive (daily.pl) uses 'qd' for mean daily discharge and
+ * date-only rows, which are read as local midnight.
  */
 function parseUSBRCSV(text, stationLower) {
-  const out = { discharge: [], waterTemp: [], gageHeight: [] };
+  const out = { discharge: [], waterTemp: [], gageHeight: [], missing: [] };
   const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
   if (lines.length < 2) return out;
 
@@ -290,30 +815,84 @@ function parseUSBRCSV(text, stationLower) {
   if (headerIdx < 0) return out;
 
   const headers = lines[headerIdx].split(',').map(h => h.trim().toLowerCase());
-  const qIdx    = headers.findIndex(h => h === `${stationLower}_q` || h.endsWith('_q'));
+  const qIdx    = headers.findIndex(h => h === `${stationLower}_q` || h.endsWith('_q') || h.endsWith('_qd'));
   const twIdx   = headers.findIndex(h => h === `${stationLower}_tw` || h.endsWith('_tw'));
 
   for (let i = headerIdx + 1; i < lines.length; i++) {
     const cols = lines[i].split(',');
     if (cols.length < 2) continue;
-    const dt = new Date(cols[0].trim());
-    if (isNaN(dt.getTime())) continue;
+    const dt = parseUSBRDate(cols[0]);
+    if (!dt) continue;
 
     if (qIdx >= 0) {
-      const val = parseFloat(cols[qIdx]);
-      if (!isNaN(val) && val >= 0) out.discharge.push({ time: dt, value: val });
+      const cell = readUSBRCell(cols[qIdx]);
+      if (cell.value !== null && cell.value >= 0) {
+        out.discharge.push({ time: dt, value: cell.value, qualifiers: cell.qualifiers });
+      } else {
+        out.missing.push({ time: dt, param: 'discharge', qualifiers: [USBR_MISSING_CODE] });
+      }
     }
     if (twIdx >= 0) {
-      const valC = parseFloat(cols[twIdx]);
-      if (!isNaN(valC)) {
+      const cell = readUSBRCell(cols[twIdx]);
+      if (cell.value !== null) {
         // USBR returns °C — convert to °F
-        out.waterTemp.push({ time: dt, value: valC * 9 / 5 + 32 });
+        out.waterTemp.push({ time: dt, value: cell.value * 9 / 5 + 32, qualifiers: cell.qualifiers });
+      } else {
+        out.missing.push({ time: dt, param: 'waterTemp', qualifiers: [USBR_MISSING_CODE] });
       }
     }
   }
+
+  // A column with no values at all is a sensor the site doesn't have, not a gap
+  out.missing = out.missing.filter(m => out[m.param].length > 0);
+  return out;
+}
+
+/** Hydromet row timestamp; date-only rows (daily.pl) are local midnight. */
+function parseUSBRDate(str) {
+  const s  = str.trim();
+  const dt = new Date(/^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s} 00:00` : s);
+  return isNaN(dt.getTime()) ? null : dt;
+}
+
+/**
+ * Generic Hydromet CSV → { 'station_param': [{time, value}] } for every
+ * column, lower-cased as in the header. Used where the columns are not the
+ * fixed q/tw pair (reservoir storage etc.). Missing cells are skipped.
+ */
+function parseUSBRColumns(text) {
+  const out   = {};
+  const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+  const headerIdx = lines.findIndex(l => l.toLowerCase().startsWith('datetime'));
+  if (headerIdx < 0) return out;
+
+  const headers = lines[headerIdx].split(',').map(h => h.trim().toLowerCase());
+  headers.slice(1).forEach(h => { out[h] = []; });
+  for (const line of lines.slice(headerIdx + 1)) {
+    const cols = line.split(',');
+    const dt   = parseUSBRDate(cols[0]);
+    if (!dt) continue;
+    for (let c = 1; c < headers.length; c++) {
+      const cell = readUSBRCell(cols[c]);
+      if (cell.value !== null) out[headers[c]].push({ time: dt, value: cell.value });
+    }
+  }
   return out;
 }
 
+/**
+ * Read one Hydromet cell. Numbers may carry a trailing flag character
+ * (e.g. "326.57e"), which is kept as a qualifier. Blank, non-numeric and
+ * sentinel cells come back with value null.
+ */
+function readUSBRCell(raw) {
+  const m = /^\s*(-?\d+(?:\.\d+)?)\s*(\S*)\s*$/.exec(raw ?? '');
+  if (!m) return { value: null, qualifiers: [USBR_MISSING_CODE] };
+  const value = parseFloat(m[1]);
+  if (value === USBR_MISSING) return { value: null, qualifiers: [USBR_MISSING_CODE] };
+  return { value, qualifiers: m[2] ? [m[2]] : [] };
+}
+
 // =====================================================================
 // API: NWRFC (NW River Forecast Center) — water temperature
 // Station HLKW1 (Yakima near Horlick) has TW sensor; no CORS headers.
@@ -322,19 +901,19 @@ function parseUSBRCSV(text, stationLower) {
 // Temperatures are reported in °F.
 // =====================================================================
 
-async function fetchNWRFCTemp(lid, days) {
+async function fetchNWRFCTemp(lid, range) {
   const qs  = `id=${lid}&pe=TW`;
-  const url = (location.protocol === 'http:' || location.protocol === 'https:')
+  const url = useProxy()
     ? `/api/nwrfc?${qs}`
     : `https://www.nwrfc.noaa.gov/station/flowplot/textPlot.cgi?${qs}`;
 
   const ctrl  = new AbortController();
   const timer = setTimeout(() => ctrl.abort(), 12000);
   try {
-    const res = await fetch(url, { signal: ctrl.signal });
+    const res = await apiFetch(url, { signal: ctrl.signal });
     clearTimeout(timer);
     if (!res.ok) throw new Error(`NWRFC ${lid}: HTTP ${res.status}`);
-    return parseNWRFCTempHTML(await res.text(), days);
+    return parseNWRFCTempHTML(await res.text(), range);
   } finally {
     clearTimeout(timer);
   }
@@ -345,16 +924,16 @@ async function fetchNWRFCTemp(lid, days) {
  * Data rows look like:
  *   <td align="right">2026-02-23 13:30</td><td align="right">41.9</td>
  * Temperatures are already in °F. Times are in PST/PDT (local Pacific).
+ * Only rows inside the selected range are kept.
  */
-function parseNWRFCTempHTML(html, days) {
-  const cutoff = new Date(Date.now() - days * 86400000);
+function parseNWRFCTempHTML(html, range) {
   const out    = [];
   const re     = /(\d{4}-\d{2}-\d{2} \d{2}:\d{2})<\/td><td align="right">(\d+\.?\d*)/g;
   let m;
   while ((m = re.exec(html)) !== null) {
     const dt  = new Date(m[1]);
     const val = parseFloat(m[2]);
-    if (!isNaN(dt.getTime()) && dt >= cutoff && !isNaN(val)) {
+    if (!isNaN(dt.getTime()) && dt >= range.start && dt <= range.end && !isNaN(val)) {
       out.push({ time: dt, value: val });
     }
   }
@@ -364,8 +943,13 @@ function parseNWRFCTempHTML(html, days) {
 // =====================================================================
 // API: WEATHER — Open-Meteo (free, no key required)
 // Docs: https://open-meteo.com/en/docs
+// Times are local wall-clock strings (timezone below) with the offset in
+// utc_offset_seconds. The hourly block covers the next WEATHER_HOURS.
+// Freezing level always comes in metres; it is converted to ft here.
 // =====================================================================
 
+const WEATHER_HOURS = 72;
+
 async function fetchWeather(lat, lng) {
   const params = new URLSearchParams({
     latitude:  lat,
@@ -374,6 +958,9 @@ async function fetchWeather(lat, lng) {
       'temperature_2m', 'apparent_temperature', 'precipitation',
       'wind_speed_10m', 'weather_code', 'relative_humidity_2m',
     ].join(','),
+    hourly: [
+      'temperature_2m', 'precipitation', 'snowfall', 'freezing_level_height',
+    ].join(','),
     daily: [
       'temperature_2m_max', 'temperature_2m_min',
       'precipitation_sum', 'precipitation_probability_max', 'weather_code',
@@ -383,284 +970,2808 @@ async function fetchWeather(lat, lng) {
     precipitation_unit: 'inch',
     timezone:          'America/Los_Angeles',
     forecast_days:     '7',
+    forecast_hours:    String(WEATHER_HOURS),
   });
-  const res = await fetch(`https://api.open-meteo.com/v1/forecast?${params}`);
+  const res = await apiFetch(`https://api.open-meteo.com/v1/forecast?${params}`);
   if (!res.ok) throw new Error(`Open-Meteo: HTTP ${res.status}`);
-  return await res.json();
+  const json   = await res.json();
+  const hourly = json?.hourly;
+  if (hourly?.freezing_level_height && json.hourly_units?.freezing_level_height !== 'ft') {
+    hourly.freezing_level_height = hourly.freezing_level_height.map(m => (m == null ? null : m / 0.3048));
+    json.hourly_units = { ...json.hourly_units, freezing_level_height: 'ft' };
+  }
+  return json;
+}
+
+/** Open-Meteo local time ('2026-10-17T14:00') → Date, using the response's UTC offset. */
+function openMeteoTime(str, offsetSec = 0) {
+  const [y, mo, d, h = 0, mi = 0] = str.split(/[-T:]/).map(Number);
+  return new Date(Date.UTC(y, mo - 1, d, h, mi) - offsetSec * 1000);
+}
+
+/** The hourly block as [{ time, temp, precip, snowfall, freezingFt }], oldest first. */
+function weatherHourly(data) {
+  const h = data?.hourly;
+  if (!h?.time?.length) return [];
+  return h.time.map((t, i) => ({
+    time:       openMeteoTime(t, data.utc_offset_seconds),
+    temp:       h.temperature_2m?.[i] ?? null,
+    precip:     h.precipitation?.[i] ?? null,
+    snowfall:   h.snowfall?.[i] ?? null,
+    freezingFt: h.freezing_level_height?.[i] ?? null,
+  }));
 }
 
 // =====================================================================
 // API: NWS ALERTS
+// Active Washington alerts that touch a basin county (ALERT_COUNTIES),
+// limited to the hydrologic / winter / heat products in ALERT_EVENTS, most
+// severe first. Zone-based alerts often have no geometry of their own; the
+// zone shapes are fetched (once) so every alert can be drawn on the map,
+// and zones that don't reach the basin are left off it.
 // =====================================================================
 
+function alertCategory(event) {
+  return Object.keys(ALERT_EVENTS).find(cat => ALERT_EVENTS[cat].includes(event)) ?? null;
+}
+
+function touchesBasinCounty(geocode) {
+  const counties = Object.values(ALERT_COUNTIES);
+  return (geocode?.SAME ?? []).some(c => c in ALERT_COUNTIES) ||
+         (geocode?.UGC ?? []).some(z => counties.includes(z));
+}
+
+/**
+ * [minLng, minLat, maxLng, maxLat] of a GeoJSON geometry, or null when it
+ * has no coordinates. Walked in a loop — zone outlines run to thousands of
+ * vertices, too many to spread into Math.min / Math.max.
+ */
+function geometryBounds(geometry) {
+  const b    = [Infinity, Infinity, -Infinity, -Infinity];
+  const walk = c => {
+    if (typeof c[0] === 'number') {
+      if (c[0] < b[0]) b[0] = c[0];
+      if (c[1] < b[1]) b[1] = c[1];
+      if (c[0] > b[2]) b[2] = c[0];
+      if (c[1] > b[3]) b[3] = c[1];
+      return;
+    }
+    for (const x of c) walk(x);
+  };
+  for (const g of geometry?.geometries ?? [geometry]) walk(g?.coordinates ?? []);
+  return b[0] <= b[2] ? b : null;
+}
+
+/** Whether a GeoJSON geometry's bounding box overlaps the basin's (stations, SNOTEL sites, weather points). */
+function overlapsBasin(geometry) {
+  const pts   = [...STATIONS, ...SNOTEL_SITES, ...WEATHER_LOCATIONS];
+  const basin = geometryBounds({ type: 'MultiPoint', coordinates: pts.map(p => [p.lng, p.lat]) });
+  const g     = geometryBounds(geometry);
+  return !!g && g[0] <= basin[2] && g[2] >= basin[0] && g[1] <= basin[3] && g[3] >= basin[1];
+}
+
 async function fetchNWSAlerts() {
   try {
-    const res = await fetch('https://api.weather.gov/alerts/active?area=WA&status=actual', {
+    const params = new URLSearchParams({ area: 'WA', status: 'actual' });
+    const res = await apiFetch(`https://api.weather.gov/alerts/active?${params}`, {
       headers: { 'User-Agent': 'YakimaBasinDashboard/1.0 (educational)' },
     });
     if (!res.ok) return [];
     const json = await res.json();
-    return (json?.features ?? []).filter(f => {
-      const event = (f.properties?.event ?? '').toLowerCase();
-      const area  = (f.properties?.areaDesc ?? '').toLowerCase();
-      return (event.includes('flood') || event.includes('hydrologic')) &&
-             (area.includes('yakima') || area.includes('kittitas') || area.includes('chelan'));
-    }).map(f => ({
-      event:    f.properties.event,
-      headline: f.properties.headline ?? f.properties.event,
-    }));
+    return (json?.features ?? [])
+      .filter(f => alertCategory(f.properties?.event))
+      .filter(f => touchesBasinCounty(f.properties.geocode))
+      .map(f => {
+        const p = f.properties;
+        return {
+          id:          p.id ?? f.id,
+          event:       p.event,
+          category:    alertCategory(p.event),
+          headline:    p.headline ?? p.event,
+          severity:    p.severity ?? 'Unknown',
+          urgency:     p.urgency,
+          effective:   p.effective ? new Date(p.effective) : null,
+          expires:     p.ends ? new Date(p.ends) : p.expires ? new Date(p.expires) : null,
+          description: p.description ?? '',
+          instruction: p.instruction ?? '',
+          areaDesc:    p.areaDesc ?? '',
+          geometry:    f.geometry ?? null,
+          zoneUrls:    p.affectedZones ?? [],
+        };
+      })
+      .sort((a, b) =>
+        (ALERT_SEVERITY_RANK[b.severity] ?? 0) - (ALERT_SEVERITY_RANK[a.severity] ?? 0) ||
+        (a.effective ?? 0) - (b.effective ?? 0));
   } catch {
     return [];
   }
 }
 
+/** Zone boundary GeoJSON geometry, cached for the session. */
+async function fetchZoneGeometry(url) {
+  if (url in state.zoneGeometry) return state.zoneGeometry[url];
+  try {
+    const res = await apiFetch(url, { headers: { Accept: 'application/geo+json' } });
+    state.zoneGeometry[url] = res.ok ? (await res.json())?.geometry ?? null : null;
+  } catch {
+    state.zoneGeometry[url] = null;
+  }
+  return state.zoneGeometry[url];
+}
+
 // =====================================================================
-// API: NWS WATER — River Forecast
+// API: NWS WATER — Observed + forecast stage/flow (stageflow)
 // Endpoint has Access-Control-Allow-Origin: * — no proxy needed.
-// Returns flow in kcfs; multiply by 1000 for cfs.
+// Both the observed and forecast blocks carry a primary and a secondary
+// series (normally stage in ft and flow in kcfs), each with its units
+// named in the block; -999 marks a missing value.
 // =====================================================================
 
-async function fetchNWSForecast(lid) {
+// Payload units → dashboard parameter + factor to canonical (cfs, ft)
+const NWPS_UNITS = {
+  kcfs: { param: 'discharge',  scale: 1000 },
+  cfs:  { param: 'discharge',  scale: 1 },
+  ft:   { param: 'gageHeight', scale: 1 },
+  m:    { param: 'gageHeight', scale: 1 / 0.3048 },
+};
+
+/** One stageflow block → { discharge, gageHeight } in cfs / ft. */
+function parseNWPSBlock(block) {
+  const out = { discharge: [], gageHeight: [] };
+  const cols = ['primary', 'secondary']
+    .map(col => ({ col, unit: NWPS_UNITS[String(block?.[`${col}Units`] ?? '').toLowerCase()] }))
+    .filter(c => c.unit);
+  for (const d of block?.data ?? []) {
+    const time = new Date(d.validTime);
+    if (isNaN(time.getTime())) continue;
+    for (const { col, unit } of cols) {
+      const v = d[col];
+      if (v == null || v <= -999) continue;
+      if (unit.param === 'discharge') {
+        if (v >= 0) out.discharge.push({ time, value: Math.round(v * unit.scale) });
+      } else {
+        out.gageHeight.push({ time, value: Math.round(v * unit.scale * 100) / 100 });
+      }
+    }
+  }
+  return out;
+}
+
+async function fetchNWSStageflow(lid) {
   const ctrl  = new AbortController();
   const timer = setTimeout(() => ctrl.abort(), 10000);
   try {
-    const res = await fetch(
+    const res = await apiFetch(
       `https://api.water.noaa.gov/nwps/v1/gauges/${lid}/stageflow`,
       { signal: ctrl.signal },
     );
     clearTimeout(timer);
     if (!res.ok) throw new Error(`NWS forecast ${lid}: HTTP ${res.status}`);
-    const json = await res.json();
-    return (json?.forecast?.data ?? [])
-      .filter(d => d.secondary != null)
-      .map(d => ({ time: new Date(d.validTime), value: Math.round(d.secondary * 1000) }))
-      .filter(d => !isNaN(d.time.getTime()) && d.value >= 0);
+    const json   = await res.json();
+    const issued = new Date(json?.forecast?.issuedTime);
+    return {
+      issued:   isNaN(issued.getTime()) ? null : issued,
+      observed: parseNWPSBlock(json?.observed),
+      forecast: parseNWPSBlock(json?.forecast),
+    };
   } finally {
     clearTimeout(timer);
   }
 }
 
 // =====================================================================
-// MAP — Leaflet
+// API: NWS WATER — Gauge metadata (flood categories)
+// Same NWPS service as the forecast; CORS-enabled.
+// Flow thresholds are reported in flood.flowUnits (normally kcfs),
+// stage in flood.stageUnits (ft). Undefined categories come back as -9999.
 // =====================================================================
 
-function initMap() {
-  const map = L.map('map', { zoomControl: true });
+async function fetchNWSGauge(lid) {
+  const ctrl  = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), 10000);
+  try {
+    const res = await apiFetch(
+      `https://api.water.noaa.gov/nwps/v1/gauges/${lid}`,
+      { signal: ctrl.signal },
+    );
+    clearTimeout(timer);
+    if (!res.ok) throw new Error(`NWS gauge ${lid}: HTTP ${res.status}`);
+    return parseNWPSThresholds(await res.json());
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-  L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
-    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright" target="_blank">OpenStreetMap</a> &copy; <a href="https://carto.com/" target="_blank">CARTO</a>',
-    subdomains:  'abcd',
-    maxZoom:     18,
-  }).addTo(map);
+function parseNWPSThresholds(json) {
+  const flood     = json?.flood ?? {};
+  const flowScale = /^kcfs$/i.test(flood.flowUnits ?? 'kcfs') ? 1000 : 1;
+  const out = { flow: {}, stage: {}, stageUnits: flood.stageUnits ?? 'ft' };
+  for (const { key } of FLOOD_CATEGORIES) {
+    const cat = flood.categories?.[key] ?? {};
+    out.flow[key]  = cat.flow  != null && cat.flow  > 0 ? Math.round(cat.flow * flowScale) : null;
+    out.stage[key] = cat.stage != null && cat.stage > 0 ? cat.stage : null;
+  }
+  return out;
+}
 
-  // Fit to station bounds with padding
-  map.fitBounds(STATIONS.map(s => [s.lat, s.lng]), { padding: [36, 36] });
+// =====================================================================
+// CACHE — IndexedDB series store + incremental fetching
+// One record per source/site/resolution/parameter:
+//   { key: 'USGS:12484500:iv:discharge', from, points: [{time, value}], fetchedAt }
+// `from` is how far back the record is complete. When it covers the
+// requested range, only data newer than the last cached point is fetched
+// and merged in. If the upstream fails, cached points are returned with
+// staleSince = the last successful fetch.
+// =====================================================================
 
-  for (const station of STATIONS) {
-    const marker = L.circleMarker([station.lat, station.lng], {
-      radius:      8,
-      fillColor:   station.color,
-      color:       '#16161e',
-      weight:      2.5,
-      opacity:     1,
-      fillOpacity: 0.88,
-    });
-    marker.bindPopup(makePopupHTML(station, null), { maxWidth: 240, className: 'yakima-popup' });
-    marker.on('mouseover', function() { this.openPopup(); });
-    marker.addTo(map);
-    state.markers[station.id] = marker;
-  }
+const CACHE_DB_NAME    = REPLAY.mode === 'mock' ? 'yakima-dashboard-replay' : 'yakima-dashboard';
+const CACHE_DB_VERSION = 2;   // 2: + forecasts store (FORECAST VERIFICATION)
+const SERIES_STORE     = 'series';
+const FORECAST_STORE   = 'forecasts';
+const SERIES_PARAMS    = ['discharge', 'waterTemp', 'gageHeight', 'missing'];
 
-  // Weather location markers (smaller, cyan)
-  for (const loc of WEATHER_LOCATIONS) {
-    L.circleMarker([loc.lat, loc.lng], {
-      radius:      5,
-      fillColor:   '#7dcfff',
-      color:       '#16161e',
-      weight:      1.5,
-      opacity:     0.7,
-      fillOpacity: 0.5,
-    })
-    .bindTooltip(loc.name + ' (weather)', { className: 'leaflet-tooltip' })
-    .addTo(map);
-  }
+// How much history each resolution keeps (ranges beyond this re-fetch)
+const CACHE_RETENTION_DAYS = { iv: DAILY_THRESHOLD_DAYS + 1, dv: 400 };
 
-  state.map = map;
-}
+let cacheDBPromise = null;
 
-function makePopupHTML(station, data) {
-  const q = data?.discharge ? getLatestValue(data.discharge) : null;
-  const t = data?.waterTemp ? getLatestValue(data.waterTemp) : null;
-  let metrics = '';
-  if (q) metrics += `<div class="popup-metric">
-    <span class="popup-metric-value" style="color:${station.color}">${fmtCfs(q.value)}</span>
-    <span class="popup-metric-label">cfs</span></div>`;
-  if (t) metrics += `<div class="popup-metric">
-    <span class="popup-metric-value">${fmtTemp(t.value)}</span>
-    <span class="popup-metric-label">water temp</span></div>`;
-  if (!metrics) metrics = '<span style="color:#565f89;font-size:0.72rem">Loading\u2026</span>';
-  return `<div class="popup-station-name">${station.name}</div>
-          <div class="popup-metrics">${metrics}</div>`;
+/** Open (once) the cache database. Resolves null where IndexedDB is unavailable. */
+function openCacheDB() {
+  if (cacheDBPromise) return cacheDBPromise;
+  cacheDBPromise = new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') return resolve(null);
+    const req = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(SERIES_STORE)) db.createObjectStore(SERIES_STORE, { keyPath: 'key' });
+      if (!db.objectStoreNames.contains(FORECAST_STORE)) {
+        db.createObjectStore(FORECAST_STORE, { keyPath: 'key' }).createIndex('lid', 'lid');
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // A newer version opening in another tab waits on us — step aside
+      // and carry on uncached until this tab is reloaded
+      db.onversionchange = () => { db.close(); cacheDBPromise = Promise.resolve(null); };
+      resolve(db);
+    };
+    req.onerror   = () => { console.warn('[cache] IndexedDB unavailable', req.error); resolve(null); };
+    // An older tab still holds the previous version open: run without the
+    // cache rather than wait (the upgrade finishes once that tab lets go)
+    req.onblocked = () => { console.warn('[cache] IndexedDB upgrade blocked by another tab'); resolve(null); };
+  });
+  return cacheDBPromise;
 }
 
-function updateMapMarkers() {
-  for (const station of STATIONS) {
-    const marker = state.markers[station.id];
-    const data   = state.stationData[station.id];
-    if (marker && data) marker.setPopupContent(makePopupHTML(station, data));
-  }
+async function cacheGet(store, key) {
+  const db = await openCacheDB();
+  if (!db) return null;
+  return new Promise(resolve => {
+    const req = db.transaction(store, 'readonly').objectStore(store).get(key);
+    req.onsuccess = () => resolve(req.result ?? null);
+    req.onerror   = () => resolve(null);
+  });
+}
+
+async function cachePut(store, record) {
+  const db = await openCacheDB();
+  if (!db) return;
+  return new Promise(resolve => {
+    const tx = db.transaction(store, 'readwrite');
+    tx.objectStore(store).put(record);
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => { console.warn('[cache] write failed', tx.error); resolve(); };
+  });
+}
+
+/**
+ * Union of two series by timestamp (newer wins), sorted, clipped to [from, ∞).
+ * `missing` entries share timestamps across params, so param is part of the key.
+ */
+function mergeSeries(oldPts, newPts, from) {
+  const byTime = new Map();
+  const key    = v => `${v.time.getTime()}:${v.param ?? ''}`;
+  for (const v of oldPts) byTime.set(key(v), v);
+  for (const v of newPts) byTime.set(key(v), v);
+  return [...byTime.values()]
+    .filter(v => v.time >= from)
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Fetch a multi-parameter series through the cache.
+ *   key      'SOURCE:site:resolution' — one record per param under it
+ *   fetcher  (range) => { [param]: [{time, value}] }; range.since is set
+ *            on incremental calls
+ *   options  params — which result keys to cache;
+ *            incremental: false for sources that must be re-fetched whole
+ *            (forecasts) but should still fall back to cache
+ * Returns { ...params, staleSince } where staleSince is null when fresh.
+ * Custom ranges bypass the cache entirely.
+ */
+async function fetchCached(key, range, fetcher, { params = SERIES_PARAMS, incremental = true } = {}) {
+  if (range.custom) return { ...(await fetcher(range)), staleSince: null };
+
+  const resolution = range.daily ? 'dv' : 'iv';
+  const cutoff     = new Date(Date.now() - CACHE_RETENTION_DAYS[resolution] * 86400000);
+  const records    = await Promise.all(params.map(p => cacheGet(SERIES_STORE, `${key}:${p}`)));
+  const complete   = records.every(r => r && r.from <= range.start);
+
+  // Resume from the oldest "latest point" across params that have data —
+  // value series only: the last gap in `missing` may be days old
+  const lastTimes = records
+    .filter((r, i) => params[i] !== 'missing' && r?.points.length)
+    .map(r => r.points[r.points.length - 1].time);
+  const since     = incremental && complete && lastTimes.length
+    ? new Date(Math.min(...lastTimes.map(t => t.getTime())))
+    : null;
+
+  let fresh;
+  try {
+    fresh = await fetcher(since ? { ...range, start: since, since } : range);
+  } catch (err) {
+    if (!records.some(r => r?.points.length)) throw err;
+    const out = { staleSince: new Date(Math.min(...records.filter(Boolean).map(r => r.fetchedAt.getTime()))) };
+    params.forEach((p, i) => { out[p] = (records[i]?.points ?? []).filter(v => v.time >= range.start); });
+    console.info(`[cache] ${key}: ${err.message} — serving cached data`);
+    return out;
+  }
+
+  const fetchedAt = new Date();
+  const out = { ...fresh, staleSince: null };
+  await Promise.all(params.map(async (p, i) => {
+    const prev   = since ? records[i] : null;
+    const keepFrom = new Date(Math.max(cutoff.getTime(), Math.min(range.start.getTime(), prev?.from.getTime() ?? Infinity)));
+    const points = incremental
+      ? mergeSeries(prev?.points ?? [], fresh[p] ?? [], keepFrom)
+      : (fresh[p] ?? []);
+    await cachePut(SERIES_STORE, { key: `${key}:${p}`, from: keepFrom, points, fetchedAt });
+    out[p] = points.filter(v => v.time >= range.start);
+  }));
+  return out;
+}
+
+// =====================================================================
+// FORECAST VERIFICATION — archived NWS issuances scored against observations
+// Every forecast fetched is stored by issue time:
+//   { key: 'HLKW1:2026-05-03T15:47:00.000Z', lid, issued, points: [{time, value}] }
+// Each forecast point whose valid time has since been observed is scored
+// by lead time (valid − issued). Peak timing compares the forecast peak of
+// an issuance with the observed peak over the same window, when both peaks
+// fall inside it. Scores use the observed series currently loaded, so a
+// longer range verifies more issuances — up to DAILY_THRESHOLD_DAYS: daily
+// means can't be paired with hourly forecast points, so no score is shown.
+// =====================================================================
+
+const FORECAST_RETENTION_DAYS = 60;
+const FORECAST_FAN_COUNT      = 4;     // previous issuances drawn on the hydrograph
+const LEAD_BUCKETS_H          = [24, 48, 72, 120, 240];
+
+async function archiveForecast(lid, issued, points) {
+  if (!issued || !points.length) return;
+  await cachePut(FORECAST_STORE, {
+    key:    `${lid}:${issued.toISOString()}`,
+    lid,
+    issued,
+    points,
+  });
+}
+
+/** All archived issuances for a gauge, oldest first; prunes expired ones. */
+async function loadForecastArchive(lid) {
+  const db = await openCacheDB();
+  if (!db) return [];
+  const cutoff = Date.now() - FORECAST_RETENTION_DAYS * 86400000;
+  return new Promise(resolve => {
+    const tx   = db.transaction(FORECAST_STORE, 'readwrite');
+    const req  = tx.objectStore(FORECAST_STORE).index('lid').getAll(lid);
+    req.onsuccess = () => {
+      const keep = [];
+      for (const rec of req.result ?? []) {
+        if (rec.issued.getTime() < cutoff) tx.objectStore(FORECAST_STORE).delete(rec.key);
+        else keep.push(rec);
+      }
+      resolve(keep.sort((a, b) => a.issued - b.issued));
+    };
+    req.onerror = () => resolve([]);
+  });
+}
+
+function leadBucketLabel(i) {
+  const lo = i === 0 ? 0 : LEAD_BUCKETS_H[i - 1];
+  return `${lo / 24}\u2013${LEAD_BUCKETS_H[i] / 24} d`;
+}
+
+/**
+ * Skill per lead bucket: { bucket, n, bias, mae, peaks, peakBias, peakMae }.
+ * Errors are forecast − observed in cfs; peak errors in hours (positive =
+ * forecast peak later than observed).
+ */
+function scoreForecasts(archive, observed) {
+  const obs     = resampleHourly(observed);
+  const obsHour = t => obs.get(Math.floor(t / 3600000) * 3600000);   // same hour bucket as resampleHourly
+  const lastObs = getLatestValue(observed)?.time.getTime() ?? 0;
+  const buckets = LEAD_BUCKETS_H.map(() => ({ n: 0, sumErr: 0, sumAbs: 0, peaks: [] }));
+  const bucketOf = leadH => LEAD_BUCKETS_H.findIndex(b => leadH <= b);
+
+  for (const issuance of archive) {
+    const issued = issuance.issued.getTime();
+    const pairs  = [];
+    for (const p of issuance.points) {
+      const t = p.time.getTime();
+      if (t <= issued || t > lastObs) continue;
+      const o = obsHour(t);
+      if (o === undefined) continue;
+      pairs.push({ t, f: p.value, o });
+      const b = bucketOf((t - issued) / 3600000);
+      if (b < 0) continue;
+      buckets[b].n      += 1;
+      buckets[b].sumErr += p.value - o;
+      buckets[b].sumAbs += Math.abs(p.value - o);
+    }
+
+    // Peak timing: both peaks strictly inside a window of at least a day
+    if (pairs.length < 4 || pairs[pairs.length - 1].t - pairs[0].t < 24 * 3600000) continue;
+    const argmax = key => pairs.reduce((best, p, i) => (p[key] > pairs[best][key] ? i : best), 0);
+    const fi = argmax('f');
+    const oi = argmax('o');
+    const interior = i => i > 0 && i < pairs.length - 1;
+    if (!interior(fi) || !interior(oi)) continue;
+    const b = bucketOf((pairs[fi].t - issued) / 3600000);
+    if (b >= 0) buckets[b].peaks.push((pairs[fi].t - pairs[oi].t) / 3600000);
+  }
+
+  return buckets.map((b, i) => ({
+    bucket:   leadBucketLabel(i),
+    n:        b.n,
+    bias:     b.n ? b.sumErr / b.n : null,
+    mae:      b.n ? b.sumAbs / b.n : null,
+    peaks:    b.peaks.length,
+    peakBias: b.peaks.length ? b.peaks.reduce((a, h) => a + h, 0) / b.peaks.length : null,
+    peakMae:  b.peaks.length ? b.peaks.reduce((a, h) => a + Math.abs(h), 0) / b.peaks.length : null,
+  }));
+}
+
+/** The issuances before the latest (current) one, newest first. */
+function previousForecasts(archive) {
+  return archive.slice(-FORECAST_FAN_COUNT - 1, -1).reverse();
+}
+
+// =====================================================================
+// STATISTICS — day-of-year discharge percentiles
+// USGS stations: NWIS daily statistics service (RDB only).
+//   Docs: https://waterservices.usgs.gov/docs/statistics/
+// USBR stations: Hydromet daily archive (qd = mean daily discharge),
+//   percentiles computed here from the last STATS_YEARS years.
+//   Proxied like instant.pl — /api/usbr-daily.
+// Result shape: { source, byDay: { 'MM-DD': {p10,p25,p50,p75,p90} } }
+// Cached in localStorage for STATS_TTL_MS; they only move once a year.
+// A failed or empty fetch is cached too, for STATS_RETRY_MS, so a station
+// without stats doesn't re-download 30 years of USBR data every refresh.
+// =====================================================================
+
+const STATS_PERCENTILES = [10, 25, 50, 75, 90];
+const STATS_YEARS       = 30;
+const STATS_WINDOW_DAYS = 3;                     // ± days pooled around each DOY (USBR)
+const STATS_TTL_MS      = 7 * 24 * 3600000;
+const STATS_RETRY_MS    = 6 * 3600000;
+
+// USGS WaterWatch percentile classes (<10, 10–24, 25–75, 76–90, >90)
+const PERCENTILE_CLASSES = [
+  { max: 10,       label: 'Much below normal', cls: 'much-below' },
+  { max: 25,       label: 'Below normal',      cls: 'below' },
+  { max: 76,       label: 'Normal',            cls: 'normal' },
+  { max: 91,       label: 'Above normal',      cls: 'above' },
+  { max: Infinity, label: 'Much above normal', cls: 'much-above' },
+];
+
+function dayKey(date) {
+  return `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function getDayStats(stats, date) {
+  if (!stats) return null;
+  return stats.byDay[dayKey(date)] ?? null;
+}
+
+/** Linear-interpolated percentile (p in 0–100) of an ascending-sorted array. */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo  = Math.floor(idx);
+  const hi  = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/**
+ * Where a value sits in the day's distribution: percent of median and an
+ * approximate percentile rank, interpolated between the known percentiles.
+ */
+function classifyFlow(value, dayStats) {
+  if (value == null || !dayStats || !dayStats.p50) return null;
+  const pts = STATS_PERCENTILES.map(p => [p, dayStats[`p${p}`]]);
+  let rank;
+  if (value <= pts[0][1]) rank = 5;
+  else if (value >= pts[pts.length - 1][1]) rank = 95;
+  else {
+    for (let i = 1; i < pts.length; i++) {
+      const [p0, v0] = pts[i - 1];
+      const [p1, v1] = pts[i];
+      if (value <= v1) {
+        rank = v1 === v0 ? p1 : p0 + (p1 - p0) * (value - v0) / (v1 - v0);
+        break;
+      }
+    }
+  }
+  rank = Math.round(rank);
+  const { label, cls } = PERCENTILE_CLASSES.find(c => rank < c.max);
+  return { pctOfMedian: Math.round(value / dayStats.p50 * 100), rank, label, cls };
+}
+
+async function fetchUSGSStats(siteId) {
+  const params = new URLSearchParams({
+    format:         'rdb',
+    sites:          siteId,
+    parameterCd:    '00060',
+    statReportType: 'daily',
+    statTypeCd:     STATS_PERCENTILES.map(p => `p${p}`).join(','),
+  });
+  const ctrl  = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), 15000);
+  try {
+    const res = await apiFetch(`https://waterservices.usgs.gov/nwis/stat/?${params}`, { signal: ctrl.signal });
+    clearTimeout(timer);
+    if (!res.ok) throw new Error(`USGS stats ${siteId}: HTTP ${res.status}`);
+    return { source: 'USGS', byDay: parseUSGSStatsRDB(await res.text()) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Parse NWIS statistics RDB (tab-delimited).
+ * '#' comment lines, then a header row, then a column-format row ("5s 15s …").
+ * One row per month_nu/day_nu with p10_va … p90_va columns.
+ */
+function parseUSGSStatsRDB(text) {
+  const byDay = {};
+  const lines = text.split('\n').filter(l => l && !l.startsWith('#'));
+  if (lines.length < 3) return byDay;
+  const headers = lines[0].split('\t');
+  const col     = name => headers.indexOf(name);
+  for (const line of lines.slice(2)) {
+    const cols = line.split('\t');
+    const key  = `${cols[col('month_nu')].padStart(2, '0')}-${cols[col('day_nu')].padStart(2, '0')}`;
+    if (byDay[key]) continue;   // multiple time-series IDs — keep the first
+    const row = {};
+    for (const p of STATS_PERCENTILES) row[`p${p}`] = parseFloat(cols[col(`p${p}_va`)]);
+    if (STATS_PERCENTILES.every(p => !isNaN(row[`p${p}`]))) byDay[key] = row;
+  }
+  return byDay;
+}
+
+async function fetchUSBRStats(stationId) {
+  const stationLower = stationId.toLowerCase();
+  const end   = new Date();
+  const start = `${end.getFullYear() - STATS_YEARS}-01-01`;
+  const qs    = `list=${stationLower}%20qd&start=${start}&end=${end.toISOString().slice(0, 10)}&format=csv`;
+
+  const ctrl  = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), 30000);
+  try {
+    const res = await apiFetch(usbrDailyUrl(qs), { signal: ctrl.signal });
+    clearTimeout(timer);
+    if (!res.ok) throw new Error(`USBR daily ${stationId}: HTTP ${res.status}`);
+    const daily = parseUSBRCSV(await res.text(), stationLower).discharge;
+    return { source: 'USBR', byDay: computeDayOfYearPercentiles(daily) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Pool each calendar day with its ±STATS_WINDOW_DAYS neighbours across all
+ * years, then take percentiles. Feb 29 pools with its neighbours like any day.
+ */
+function computeDayOfYearPercentiles(daily) {
+  const byKey = {};
+  for (const v of daily) (byKey[dayKey(v.time)] ??= []).push(v.value);
+
+  const byDay = {};
+  const ref   = new Date(2024, 0, 1);   // leap year, so every MM-DD exists
+  for (let i = 0; i < 366; i++) {
+    const day  = new Date(ref.getFullYear(), 0, 1 + i);
+    const pool = [];
+    for (let off = -STATS_WINDOW_DAYS; off <= STATS_WINDOW_DAYS; off++) {
+      const d = new Date(day.getFullYear(), day.getMonth(), day.getDate() + off);
+      pool.push(...(byKey[dayKey(d)] ?? []));
+    }
+    if (pool.length < 10) continue;
+    pool.sort((a, b) => a - b);
+    const row = {};
+    for (const p of STATS_PERCENTILES) row[`p${p}`] = percentile(pool, p);
+    byDay[dayKey(day)] = row;
+  }
+  return byDay;
+}
+
+/**
+ * Day-of-year stats for a station: session cache → localStorage → network.
+ * Resolves null when the station has none (failed or empty fetch).
+ */
+async function loadFlowStats(station) {
+  const hit = state.flowStats[station.id];
+  if (hit && hit.expires > Date.now()) return hit.stats;
+
+  const key = `yakima.stats.${station.id}`;
+  try {
+    const cached = REPLAY.mode === 'mock' ? null : JSON.parse(localStorage.getItem(key) ?? 'null');
+    const ttl    = cached?.stats ? STATS_TTL_MS : STATS_RETRY_MS;
+    if (cached && Date.now() - cached.fetchedAt < ttl) {
+      state.flowStats[station.id] = { stats: cached.stats, expires: cached.fetchedAt + ttl };
+      return cached.stats;
+    }
+  } catch (_) {}
+
+  let stats = null;
+  try {
+    stats = station.usgsId
+      ? await fetchUSGSStats(station.usgsId)
+      : await fetchUSBRStats(station.usbrId);
+    if (Object.keys(stats.byDay).length === 0) stats = null;
+  } catch (err) {
+    console.info(`[Stats ${station.id}] ${err.message}`);
+  }
+
+  const fetchedAt = Date.now();
+  state.flowStats[station.id] = { stats, expires: fetchedAt + (stats ? STATS_TTL_MS : STATS_RETRY_MS) };
+  try {
+    if (REPLAY.mode !== 'mock') localStorage.setItem(key, JSON.stringify({ fetchedAt, stats }));
+  } catch (_) {}
+  return stats;
+}
+
+// =====================================================================
+// TRENDS — rate of change, acceleration and the last peak / trough
+// Rates are per hour over the 1, 6 and 24 h before the latest reading,
+// measured against the reading nearest each window start. A series is
+// rising or falling when its 6 h rate (24 h on daily data) passes both an
+// absolute rate and a percentage of the current value, so small swings at
+// low flow stay steady; it is "rapid" when the 1 h or 6 h rate passes the
+// rapid thresholds. Peaks and troughs are turns of at least `swing` (or
+// swingPct of the value), so gauge noise does not count as a turn.
+// Stations may override any threshold: STATIONS[].trend.<param>.
+// =====================================================================
+
+const TREND_WINDOWS_H = [1, 6, 24];
+
+const TREND_DEFAULTS = {
+  discharge: { rate: 5,   pct: 0.5, rapidRate: 100, rapidPct: 4, swing: 25, swingPct: 5 },  // cfs/h, %/h, cfs
+  waterTemp: { rate: 0.2, pct: 0,   rapidRate: 1.5, rapidPct: 0, swing: 1,  swingPct: 0 },  // °F/h, °F
+};
+
+function trendThresholds(station, param) {
+  return { ...TREND_DEFAULTS[param], ...station?.trend?.[param] };
+}
+
+/**
+ * Most recent confirmed peak or trough: { type: 'peak'|'trough', time, value }.
+ * A zig-zag walk: an extreme is confirmed once the series has moved away
+ * from it by the swing.
+ */
+function lastTurningPoint(values, th) {
+  const pts = (values ?? []).filter(v => v.value !== null && !isNaN(v.value)).sort((a, b) => a.time - b.time);
+  if (pts.length < 3) return null;
+  const swingAt = v => Math.max(th.swing, Math.abs(v) * th.swingPct / 100);
+
+  let dir  = 0;   // +1 climbing, −1 dropping, 0 not yet known
+  let hi   = pts[0];
+  let lo   = pts[0];
+  let ext  = pts[0];
+  let last = null;
+  for (const p of pts) {
+    if (dir === 0) {
+      if (p.value > hi.value) hi = p;
+      if (p.value < lo.value) lo = p;
+      if (p.value - lo.value >= swingAt(lo.value))      { dir = 1;  ext = p; }
+      else if (hi.value - p.value >= swingAt(hi.value)) { dir = -1; ext = p; }
+    } else if (dir * (p.value - ext.value) >= 0) {
+      ext = p;
+    } else if (Math.abs(ext.value - p.value) >= swingAt(ext.value)) {
+      last = { type: dir > 0 ? 'peak' : 'trough', time: ext.time, value: ext.value };
+      dir  = -dir;
+      ext  = p;
+    }
+  }
+  return last;
+}
+
+/**
+ * Trend of a series: { latest, rates: {1, 6, 24}, accel, direction, rapid, turn }.
+ * Rates are units/h (null where no reading is near the window start);
+ * accel is the change in 6 h rate per hour (units/h²). Null when the
+ * series has fewer than two readings.
+ */
+function analyzeTrend(values, th) {
+  const pts = (values ?? []).filter(v => v.value !== null && !isNaN(v.value));
+  const latest = getLatestValue(pts);
+  if (!latest || pts.length < 2) return null;
+  const t = latest.time.getTime();
+
+  // Reading nearest `hours` before the latest, within a quarter of the window
+  const at = hours => {
+    const v = valueNear(pts, t - hours * 3600000, Math.max(hours * 900000, 1800000));
+    return v && v !== latest ? v : null;
+  };
+  const rateBetween = (a, b) => a && b && b.time > a.time
+    ? (b.value - a.value) / ((b.time - a.time) / 3600000)
+    : null;
+
+  const rates = Object.fromEntries(TREND_WINDOWS_H.map(h => [h, rateBetween(at(h), latest)]));
+  const prior = rateBetween(at(12), at(6));
+  const accel = rates[6] !== null && prior !== null ? (rates[6] - prior) / 6 : null;
+
+  // Steady unless the rate is large in absolute terms and relative to the value
+  const passes = (r, rate, pct) => r !== null
+    && Math.abs(r) >= rate
+    && (!pct || Math.abs(r) / Math.max(Math.abs(latest.value), 1) * 100 >= pct);
+  const basis     = rates[6] ?? rates[24] ?? rates[1];
+  const direction = passes(basis, th.rate, th.pct) ? (basis > 0 ? 'rising' : 'falling') : 'stable';
+  const fast      = [rates[1], rates[6]].filter(r => passes(r, th.rapidRate, th.rapidPct));
+  const rapid     = direction !== 'stable' && fast.some(r => Math.sign(r) === Math.sign(basis));
+
+  return { latest, rates, accel, direction, rapid, turn: lastTurningPoint(pts, th) };
+}
+
+/** A rate in display units per hour, e.g. "+42 cfs/h" or "−0.3°C/h". */
+function fmtRate(kind, r, perHours = 1) {
+  if (r === null || r === undefined || isNaN(r)) return '\u2014';
+  const v    = toUnitDelta(kind, r);
+  const abs  = Math.abs(v);
+  const num  = kind === 'flow' ? fmtFlowNum(abs) : abs.toFixed(abs >= 10 ? 0 : 1);
+  const unit = kind === 'temp' ? unitLabel('temp') : ` ${unitLabel(kind)}`;
+  return `${v > 0 ? '+' : v < 0 ? '\u2212' : '\u00b1'}${num}${unit}/h${perHours === 2 ? '\u00b2' : ''}`;
+}
+
+/** Card arrow (plus the headline rate when moving) with every number in its tooltip. */
+function trendArrowHTML(trend, kind, fmtValue, { showRate = true } = {}) {
+  if (!trend) return '';
+  const arrow = {
+    rising:  trend.rapid ? '\u21c8' : '\u2191',
+    falling: trend.rapid ? '\u21ca' : '\u2193',
+    stable:  '\u2192',
+  }[trend.direction];
+  const label = {
+    rising:  trend.rapid ? 'Rising rapidly'  : 'Rising',
+    falling: trend.rapid ? 'Falling rapidly' : 'Falling',
+    stable:  'Steady',
+  }[trend.direction];
+  const lines = [
+    label,
+    ...TREND_WINDOWS_H.filter(h => trend.rates[h] !== null).map(h => `${h} h: ${fmtRate(kind, trend.rates[h])}`),
+  ];
+  if (trend.accel !== null) {
+    const word = Math.abs(trend.accel) < 1e-9 ? 'Constant rate'
+      : Math.sign(trend.accel) === Math.sign(trend.rates[6]) ? 'Accelerating' : 'Slowing';
+    lines.push(`${word}: ${fmtRate(kind, trend.accel, 2)}`);
+  }
+  if (trend.turn) lines.push(`Last ${trend.turn.type} ${fmtAge(trend.turn.time)} (${fmtValue(trend.turn.value)})`);
+
+  const headline = !showRate || trend.direction === 'stable' ? null : trend.rates[6] ?? trend.rates[24] ?? trend.rates[1];
+  return `<span class="trend-arrow ${trend.direction}${trend.rapid ? ' rapid' : ''}" title="${lines.join('\n')}">${arrow}`
+    + `${headline !== null ? `<span class="trend-rate">${fmtRate(kind, headline)}</span>` : ''}</span>`;
+}
+
+// =====================================================================
+// WATER TEMPERATURE — daily max / min / mean, 7DADM, criteria, degree-days
+// Days are local calendar days. A day is complete when it has readings in
+// at least TEMP_MIN_HOURS distinct hours; partial days (range edges,
+// outages) are listed but left out of the 7DADM and degree-days.
+// The 7DADM of a day averages the daily maxima from three days before to
+// three days after it (WAC 173-201A-020), so the newest three days have
+// none yet. Each station is held to the Ecology criterion for its aquatic
+// life use, STATIONS[].tempUse (criteria: WAC 173-201A-200 Table 200(1)(c)).
+// Uses follow WAC 173-201A-602, WRIA 39: core summer salmonid habitat for
+// the Yakima above the Cle Elum River confluence and for the Cle Elum and
+// Teanaway rivers; salmonid spawning, rearing and migration for the
+// mainstem below the confluence. A station without a tempUse gets
+// DEFAULT_TEMP_USE, Ecology's use for waters Table 602 doesn't name.
+// Degree-days sum each complete day's mean above 32°F (0°C).
+// Needs sub-daily readings: the daily-mean sources have no daily maximum.
+// A range shorter than TEMP_SDADM_MIN_DAYS can't hold a rated day — the
+// 7D preset included — so station cards say which range to pick instead.
+// =====================================================================
+
+// Highest 7DADM allowed, °C, by designated aquatic life use
+const TEMP_CRITERIA = {
+  charSpawning: { label: 'Char spawning',                            maxC: 9 },
+  charRearing:  { label: 'Char spawning and rearing',                maxC: 12 },
+  coreSummer:   { label: 'Core summer salmonid habitat',             maxC: 16 },
+  spawning:     { label: 'Salmonid spawning, rearing and migration', maxC: 17.5 },
+  rearing:      { label: 'Salmonid rearing and migration only',      maxC: 17.5 },
+  redband:      { label: 'Non-anadromous interior redband trout',    maxC: 18 },
+  warmWater:    { label: 'Indigenous warm water species',            maxC: 20 },
+};
+
+const DEFAULT_TEMP_USE    = 'spawning';
+const TEMP_MIN_HOURS      = 20;
+const TEMP_SDADM_MIN_DAYS = 10;   // partial edge days + seven complete days
+
+/** { use, label, maxC, maxF } for a station. */
+function tempCriterion(station) {
+  const use = station?.tempUse in TEMP_CRITERIA ? station.tempUse : DEFAULT_TEMP_USE;
+  const c   = TEMP_CRITERIA[use];
+  return { use, ...c, maxF: c.maxC * 9 / 5 + 32 };
+}
+
+/** Per local day, oldest first: { day, max, min, mean, hours, complete }. */
+function dailyTempStats(values) {
+  const byDay = new Map();
+  for (const v of values ?? []) {
+    if (v.value === null || isNaN(v.value)) continue;
+    const key = fmtISODate(v.time);
+    const d   = byDay.get(key) ?? { key, max: -Infinity, min: Infinity, sum: 0, n: 0, hours: new Set() };
+    d.max  = Math.max(d.max, v.value);
+    d.min  = Math.min(d.min, v.value);
+    d.sum += v.value;
+    d.n   += 1;
+    d.hours.add(v.time.getHours());
+    byDay.set(key, d);
+  }
+  return [...byDay.values()]
+    .sort((a, b) => (a.key < b.key ? -1 : 1))
+    .map(d => {
+      const [y, m, day] = d.key.split('-').map(Number);
+      return {
+        day:      new Date(y, m - 1, day),
+        max:      d.max,
+        min:      d.min,
+        mean:     d.sum / d.n,
+        hours:    d.hours.size,
+        complete: d.hours.size >= TEMP_MIN_HOURS,
+      };
+    });
+}
+
+/**
+ * Daily stats plus the 7DADM and exceedance of each day, and a summary:
+ * { criterion, days, latest, peak, exceedances, ratedDays, degreeDays,
+ * completeDays }. latest / peak are the days with the newest / highest
+ * 7DADM (or null); ratedDays is how many days have a 7DADM.
+ */
+function tempAnalytics(station, values) {
+  const criterion = tempCriterion(station);
+  const days      = dailyTempStats(values);
+  const complete  = new Map(days.filter(d => d.complete).map(d => [fmtISODate(d.day), d]));
+
+  for (const d of days) {
+    const week = [-3, -2, -1, 0, 1, 2, 3].map(k =>
+      complete.get(fmtISODate(new Date(d.day.getFullYear(), d.day.getMonth(), d.day.getDate() + k))));
+    d.sdadm   = d.complete && week.every(Boolean) ? week.reduce((a, w) => a + w.max, 0) / 7 : null;
+    d.exceeds = d.sdadm !== null && d.sdadm > criterion.maxF;
+  }
+
+  const rated = days.filter(d => d.sdadm !== null);
+  return {
+    criterion,
+    days,
+    latest:       rated[rated.length - 1] ?? null,
+    peak:         rated.reduce((best, d) => (!best || d.sdadm > best.sdadm ? d : best), null),
+    exceedances:  rated.filter(d => d.exceeds).length,
+    ratedDays:    rated.length,
+    degreeDays:   [...complete.values()].reduce((a, d) => a + Math.max(d.mean - 32, 0), 0),
+    completeDays: complete.size,
+  };
+}
+
+// =====================================================================
+// MAP — Leaflet
+// =====================================================================
+
+function initMap() {
+  const map = L.map('map', { zoomControl: true });
+
+  L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright" target="_blank">OpenStreetMap</a> &copy; <a href="https://carto.com/" target="_blank">CARTO</a>',
+    subdomains:  'abcd',
+    maxZoom:     18,
+  }).addTo(map);
+
+  // Fit to station bounds with padding
+  map.fitBounds(STATIONS.map(s => [s.lat, s.lng]), { padding: [36, 36] });
+
+  // Rated reaches, under the markers (grey until scored — see CONDITIONS)
+  for (const reach of CONDITION_REACHES) {
+    const ends = [reach.from, reach.to].map(id => STATIONS.find(s => s.id === id));
+    state.reachLines[reach.id] = L.polyline(ends.map(s => [s.lat, s.lng]), {
+      color:   '#565f89',
+      weight:  5,
+      opacity: 0.4,
+      lineCap: 'round',
+    })
+    .bindTooltip(reach.name, { className: 'leaflet-tooltip', sticky: true })
+    .addTo(map);
+  }
+
+  for (const station of STATIONS) {
+    const marker = L.circleMarker([station.lat, station.lng], {
+      radius:      8,
+      fillColor:   station.color,
+      color:       '#16161e',
+      weight:      2.5,
+      opacity:     1,
+      fillOpacity: 0.88,
+    });
+    marker.bindPopup(makePopupHTML(station, null), { maxWidth: 240, className: 'yakima-popup' });
+    marker.on('mouseover', function() { this.openPopup(); });
+    marker.addTo(map);
+    state.markers[station.id] = marker;
+  }
+
+  // Weather location markers (smaller, cyan)
+  for (const loc of WEATHER_LOCATIONS) {
+    L.circleMarker([loc.lat, loc.lng], {
+      radius:      5,
+      fillColor:   '#7dcfff',
+      color:       '#16161e',
+      weight:      1.5,
+      opacity:     0.7,
+      fillOpacity: 0.5,
+    })
+    .bindTooltip(loc.name + ' (weather)', { className: 'leaflet-tooltip' })
+    .addTo(map);
+  }
+
+  // SNOTEL sites (white until SWE loads, then coloured by % of median)
+  for (const site of SNOTEL_SITES) {
+    state.snotelMarkers[site.triplet] = L.circleMarker([site.lat, site.lng], {
+      radius:      6,
+      fillColor:   '#c0caf5',
+      color:       '#16161e',
+      weight:      1.5,
+      opacity:     0.8,
+      fillOpacity: 0.7,
+    })
+    .bindTooltip(`${site.name} SNOTEL`, { className: 'leaflet-tooltip' })
+    .addTo(map);
+  }
+
+  state.map = map;
+}
+
+function makePopupHTML(station, data) {
+  const q = data?.discharge ? getLatestValue(data.discharge) : null;
+  const t = data?.waterTemp ? getLatestValue(data.waterTemp) : null;
+  const h = data?.gageHeight ? getLatestValue(data.gageHeight) : null;
+  const flood = getFloodStatus(data?.thresholds, q, h);
+  let metrics = '';
+  if (q) metrics += `<div class="popup-metric">
+    <span class="popup-metric-value" style="color:${station.color}">${fmtFlow(q.value)}</span>
+    <span class="popup-metric-label">${unitLabel('flow')}</span></div>`;
+  if (t) metrics += `<div class="popup-metric">
+    <span class="popup-metric-value">${fmtTemp(t.value)}</span>
+    <span class="popup-metric-label">water temp</span></div>`;
+  if (!metrics) metrics = '<span style="color:#565f89;font-size:0.72rem">Loading\u2026</span>';
+  const floodHtml = flood?.category
+    ? `<div class="popup-flood" style="color:${flood.category.color}">${flood.category.label} flood stage</div>`
+    : '';
+  return `<div class="popup-station-name">${station.name}</div>
+          <div class="popup-metrics">${metrics}</div>${floodHtml}
+          <a class="popup-detail" href="?detail=${station.id}" data-detail="${station.id}">Details \u2192</a>`;
+}
+
+function updateMapMarkers() {
+  for (const station of STATIONS) {
+    const marker = state.markers[station.id];
+    const data   = state.stationData[station.id];
+    if (!marker || !data) continue;
+    marker.setPopupContent(makePopupHTML(station, data));
+
+    // Recolour by flood category; the station colour means "below action"
+    const flood = getFloodStatus(
+      data.thresholds, getLatestValue(data.discharge), getLatestValue(data.gageHeight),
+    );
+    const cat = flood?.category;
+    marker.setStyle({ fillColor: cat ? cat.color : station.color });
+    marker.setRadius(cat ? 10 : 8);
+  }
+}
+
+// =====================================================================
+// CHARTS — Chart.js 4
+// =====================================================================
+
+/** Axis tick for epoch-ms time axes: clock time within ~2 days, else the date. */
+function fmtTimeTick(v, spanMs, withYear = false) {
+  const d = new Date(v);
+  if (spanMs <= 2 * 86400000) {
+    const h = d.getHours();
+    return h === 0 ? fmtDateLabel(d) : `${h % 12 || 12}${h < 12 ? 'a' : 'p'}`;
+  }
+  return fmtDateLabel(d, withYear);
+}
+
+// Tooltip mode for time axes: the point nearest the cursor in every
+// dataset, so series sampled at different times still share one tooltip.
+if (typeof Chart !== 'undefined') {
+  Chart.Interaction.modes.nearestPerDataset = (chart, e) => {
+    const items = [];
+    chart.data.datasets.forEach((_, di) => {
+      const meta = chart.getDatasetMeta(di);
+      if (!chart.isDatasetVisible(di)) return;
+      let best = -1, bestD = Infinity;
+      meta.data.forEach((el, i) => {
+        const d = Math.abs(el.x - e.x);
+        if (d < bestD && !el.skip) { bestD = d; best = i; }
+      });
+      // Don't report a series that doesn't reach the cursor (e.g. forecast over observed)
+      if (best >= 0 && bestD <= 24) items.push({ element: meta.data[best], datasetIndex: di, index: best });
+    });
+    return items;
+  };
+}
+
+// =====================================================================
+// CROSSHAIR — shared hover time across charts
+// Hovering any participating chart publishes a time (epoch ms); every other
+// one draws a cursor there with its own value. Charts join by including
+// crosshairPlugin; linear epoch-ms x axes work as-is, others (the weather
+// bar chart) set chart.$crosshair.pixelAt / timeAt. chart.$crosshair.label
+// gives the value text at a time.
+// =====================================================================
+
+const crosshair = { time: null, source: null, frame: null };
+
+function setCrosshair(time, source) {
+  if (crosshair.time === time && crosshair.source === source) return;
+  crosshair.time   = time;
+  crosshair.source = source;
+  if (crosshair.frame) return;
+  // Coalesce mousemoves into one redraw per frame
+  crosshair.frame = requestAnimationFrame(() => {
+    crosshair.frame = null;
+    for (const chart of Object.values(state.charts)) {
+      if (chart !== crosshair.source && chart.config?.plugins?.includes(crosshairPlugin)) chart.draw();
+    }
+  });
+}
+
+/** Value text at time t from {x, y} points, if a point lies close enough. */
+function crosshairLabel(points, fmt) {
+  const spacing = points.length > 1 ? (points[points.length - 1].x - points[0].x) / (points.length - 1) : 0;
+  const tol     = Math.max(spacing * 1.5, 3600000);
+  return t => {
+    let best = null;
+    for (const p of points) {
+      if (p.y == null) continue;
+      if (!best || Math.abs(p.x - t) < Math.abs(best.x - t)) best = p;
+    }
+    return best && Math.abs(best.x - t) <= tol ? fmt(best.y) : null;
+  };
+}
+
+const crosshairPlugin = {
+  id: 'crosshair',
+  afterEvent(chart, args) {
+    const e = args.event;
+    if (e.type === 'mouseout') {
+      if (crosshair.source === chart) setCrosshair(null, null);
+      return;
+    }
+    if (e.type !== 'mousemove') return;
+    const { chartArea } = chart;
+    if (!chartArea || e.x < chartArea.left || e.x > chartArea.right) return;
+    const timeAt = chart.$crosshair?.timeAt ?? ((c, px) => c.scales.x.getValueForPixel(px));
+    setCrosshair(timeAt(chart, e.x), chart);
+  },
+  afterDatasetsDraw(chart) {
+    if (crosshair.time === null || crosshair.source === chart) return;
+    const { ctx, chartArea } = chart;
+    const pixelAt = chart.$crosshair?.pixelAt ?? ((c, t) => c.scales.x.getPixelForValue(t));
+    const px = pixelAt(chart, crosshair.time);
+    if (px == null || !chartArea || px < chartArea.left || px > chartArea.right) return;
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(192,202,245,0.45)';
+    ctx.lineWidth   = 1;
+    ctx.setLineDash([2, 2]);
+    ctx.beginPath();
+    ctx.moveTo(px, chartArea.top);
+    ctx.lineTo(px, chartArea.bottom);
+    ctx.stroke();
+
+    const text = chart.$crosshair?.label?.(crosshair.time);
+    if (text) {
+      ctx.setLineDash([]);
+      ctx.font = '600 9px sans-serif';
+      const w    = ctx.measureText(text).width + 8;
+      const left = px + w + 2 > chartArea.right ? px - w - 2 : px + 2;
+      ctx.fillStyle = 'rgba(36,40,59,0.9)';
+      ctx.fillRect(left, chartArea.top + 2, w, 14);
+      ctx.fillStyle    = '#c0caf5';
+      ctx.textAlign    = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(text, left + 4, chartArea.top + 9);
+    }
+    ctx.restore();
+  },
+};
+
+/** Gradient fill that scales with the chart area. */
+function makeGradientPlugin(color) {
+  return function(context) {
+    const { chart } = context;
+    const { ctx, chartArea } = chart;
+    if (!chartArea) return 'transparent';
+    const gradient = ctx.createLinearGradient(0, chartArea.top, 0, chartArea.bottom);
+    gradient.addColorStop(0,   color + 'bb');
+    gradient.addColorStop(0.65, color + '33');
+    gradient.addColorStop(1,   color + '00');
+    return gradient;
+  };
+}
+
+/**
+ * Draws flood-category thresholds as labelled horizontal bands on the y axis.
+ * levels: [{ label, color, value }] sorted ascending. Each band runs from its
+ * threshold up to the next one (the top band runs to the chart edge).
+ */
+function makeFloodBandsPlugin(levels) {
+  return {
+    id: 'floodBands',
+    beforeDatasetsDraw(chart) {
+      const { ctx, chartArea, scales: { y } } = chart;
+      if (!chartArea || !y) return;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+      ctx.clip();
+      levels.forEach((lvl, i) => {
+        const yBottom = y.getPixelForValue(lvl.value);
+        const yTop    = i + 1 < levels.length ? y.getPixelForValue(levels[i + 1].value) : chartArea.top;
+        if (yBottom < chartArea.top) return;
+
+        ctx.fillStyle = lvl.color + '14';
+        ctx.fillRect(chartArea.left, yTop, chartArea.right - chartArea.left, yBottom - yTop);
+
+        ctx.strokeStyle = lvl.color + 'aa';
+        ctx.lineWidth   = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(chartArea.left, yBottom);
+        ctx.lineTo(chartArea.right, yBottom);
+        ctx.stroke();
+
+        ctx.setLineDash([]);
+        ctx.fillStyle    = lvl.color;
+        ctx.font         = '600 9px sans-serif';
+        ctx.textAlign    = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(lvl.label, chartArea.left + 4, yBottom - 2);
+      });
+      ctx.restore();
+    },
+  };
+}
+
+/** Shades time regions with flagged or missing data (ice, equipment, …). */
+function makeQualifierRegionsPlugin(regions) {
+  return {
+    id: 'qualifierRegions',
+    beforeDatasetsDraw(chart) {
+      const { ctx, chartArea, scales: { x } } = chart;
+      if (!chartArea || !x) return;
+      ctx.save();
+      for (const r of regions) {
+        const info = qualifierInfo(r.code);
+        const x0   = Math.max(x.getPixelForValue(r.start.getTime()), chartArea.left);
+        const x1   = Math.min(Math.max(x.getPixelForValue(r.end.getTime()), x0 + 3), chartArea.right);
+        if (x1 <= x0) continue;
+        ctx.fillStyle = info.color + '22';
+        ctx.fillRect(x0, chartArea.top, x1 - x0, chartArea.bottom - chartArea.top);
+        ctx.fillStyle    = info.color;
+        ctx.font         = '600 8px sans-serif';
+        ctx.textAlign    = 'left';
+        ctx.textBaseline = 'top';
+        if (x1 - x0 > 18) ctx.fillText(r.code, x0 + 2, chartArea.top + 2);
+      }
+      ctx.restore();
+    },
+  };
+}
+
+/** Series a card's hydrograph shows: 'flow' unless stage was picked and exists. */
+function hydrographView(stationId, stationData) {
+  return state.hydroView[stationId] === 'stage' && stationData?.gageHeight?.length > 1 ? 'stage' : 'flow';
+}
+
+function createHydrograph(canvasEl, stationData, station) {
+  const existing = state.charts[station.id];
+  if (existing) { try { existing.destroy(); } catch (_) {} }
+
+  // Flow view: discharge + NWS flow forecast, percentile bands and earlier
+  // issuances. Stage view: gage height + NWS stage forecast only.
+  const view      = hydrographView(station.id, stationData);
+  const kind      = view === 'stage' ? 'length' : 'flow';
+  const param     = view === 'stage' ? 'gageHeight' : 'discharge';
+  const observed  = [...(stationData?.[param] ?? [])].sort((a, b) => a.time - b.time);
+  const waterTemp = [...(stationData?.waterTemp ?? [])].sort((a, b) => a.time - b.time);
+  const rawFcast  = [...(stationData?.[view === 'stage' ? 'stageForecast' : 'forecast'] ?? [])]
+    .sort((a, b) => a.time - b.time);
+
+  if (observed.length === 0) {
+    const ctx = canvasEl.getContext('2d');
+    ctx.fillStyle = '#565f89';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('No data', canvasEl.width / 2, canvasEl.height / 2);
+    return null;
+  }
+
+  // Downsample observed — target ~80 points so chart stays crisp
+  const ds        = downsample(observed, 80);
+  const lastObsTs = ds.length ? ds[ds.length - 1].time.getTime() : 0;
+
+  // Forecast: only future points, keeping the connector at the last observed value
+  const futureFcast = rawFcast.filter(d => d.time.getTime() > lastObsTs);
+
+  // Points are {x: epoch ms, y} on a linear axis so every chart shares
+  // real time (see CROSSHAIR); series need not share timestamps.
+  const conv  = v => toUnit(kind, v);
+  const fmtY  = y => `${kind === 'flow' ? fmtFlowNum(y) : y.toFixed(2)} ${unitLabel(kind)}`;
+  const xy    = (v, y) => ({ x: v.time.getTime(), y });
+  const qObsData   = ds.map(v => xy(v, conv(v.value)));
+  const qFcastData = futureFcast.length
+    ? [xy(ds[ds.length - 1], conv(ds[ds.length - 1].value)), ...futureFcast.map(v => xy(v, conv(v.value)))]
+    : [];
+  const tData = waterTemp.length
+    ? downsample(waterTemp, 80).map(v => xy(v, toUnit('temp', v.value)))
+    : null;
+
+  // Day-of-year percentiles for every slot (observed + forecast)
+  let statsAt = null;
+  if (view === 'flow' && stationData?.stats) {
+    const slots = [...ds, ...futureFcast];
+    const rows  = slots.map(v => getDayStats(stationData.stats, v.time));
+    if (rows.some(Boolean)) statsAt = p => slots.map((v, i) => xy(v, rows[i] ? conv(rows[i][`p${p}`]) : null));
+  }
+
+  const hasForecast = qFcastData.length > 0;
+  const fcastColor  = station.color + '99'; // 60% opacity
+
+  // Flood thresholds (flow or stage, matching the view). Stretch the axis to
+  // show the next threshold above the data when it is within reach, so
+  // "how close" is visible.
+  const floodLevels = FLOOD_CATEGORIES
+    .map(c => ({ label: c.label, color: c.color, value: conv(stationData?.thresholds?.[view]?.[c.key]) }))
+    .filter(l => l.value != null);
+  const dataMax   = Math.max(...qObsData.map(p => p.y), ...qFcastData.map(p => p.y));
+  const nextLevel = floodLevels.find(l => l.value > dataMax);
+  const suggestedMax = nextLevel && nextLevel.value <= dataMax * 1.5 ? nextLevel.value * 1.05 : undefined;
+
+  const datasets = [{
+    label:            `${view === 'stage' ? 'Stage' : 'Discharge'} (${unitLabel(kind)})`,
+    data:             qObsData,
+    observed:         true,
+    borderColor:      station.color,
+    backgroundColor:  makeGradientPlugin(station.color),
+    borderWidth:      2,
+    pointRadius:      0,
+    pointHoverRadius: 4,
+    pointHoverBackgroundColor: station.color,
+    tension:          0.35,
+    fill:             true,
+    yAxisID:          'y',
+    // Estimated / otherwise qualified stretches are dashed
+    segment: {
+      borderDash: ctx => (warnQualifiers(ds[ctx.p1DataIndex]).length ? [3, 3] : undefined),
+    },
+  }];
+
+  if (hasForecast) {
+    datasets.push({
+      label:            `Forecast (${unitLabel(kind)})`,
+      data:             qFcastData,
+      borderColor:      fcastColor,
+      backgroundColor:  'transparent',
+      borderWidth:      1.5,
+      borderDash:       [6, 4],
+      pointRadius:      0,
+      pointHoverRadius: 4,
+      pointHoverBackgroundColor: fcastColor,
+      tension:          0.35,
+      fill:             false,
+      spanGaps:         false,
+      yAxisID:          'y',
+    });
+  }
+
+  if (tData) {
+    datasets.push({
+      label:       `Water Temp (${unitLabel('temp')})`,
+      data:        tData,
+      borderColor: '#ff9e64',
+      borderDash:  [5, 3],
+      borderWidth: 1.5,
+      pointRadius: 0,
+      tension:     0.35,
+      fill:        false,
+      yAxisID:     'y1',
+      spanGaps:    true,
+    });
+  }
+
+  // Previous forecast issuances, fading with age, so drift between runs shows
+  // (flow only — the archive keeps flow forecasts)
+  if (view === 'flow') previousForecasts(stationData?.forecastArchive ?? []).forEach((f, i) => {
+    const pts = f.points.filter(p => p.time >= ds[0].time);
+    if (pts.length < 2) return;
+    datasets.push({
+      label:       `Forecast issued ${fmtDateTime(f.issued)}`,
+      data:        pts.map(v => xy(v, conv(v.value))),
+      fan:         true,
+      borderColor: station.color + ['66', '4d', '33', '22'][i],
+      borderWidth: 1,
+      pointRadius: 0,
+      pointHoverRadius: 0,
+      tension:     0.35,
+      fill:        false,
+      yAxisID:     'y',
+      order:       5,
+    });
+  });
+
+  // Percentile bands sit behind everything: 10–90 light, 25–75 darker, median dashed.
+  // Each lower edge fills up to the dataset pushed just before it.
+  if (statsAt) {
+    const band = (p, fill, bg) => ({
+      label:           `P${p}`,
+      data:            statsAt(p),
+      statBand:        true,
+      borderColor:     'transparent',
+      backgroundColor: bg,
+      borderWidth:     0,
+      pointRadius:     0,
+      pointHoverRadius: 0,
+      tension:         0.35,
+      fill,
+      yAxisID:         'y',
+      order:           10,
+    });
+    datasets.push(
+      band(90, false, 'transparent'),
+      band(10, '-1',  'rgba(169,177,214,0.06)'),
+      band(75, false, 'transparent'),
+      band(25, '-1',  'rgba(169,177,214,0.09)'),
+      {
+        label:       'Median',
+        data:        statsAt(50),
+        borderColor: 'rgba(169,177,214,0.35)',
+        borderWidth: 1,
+        borderDash:  [2, 3],
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        tension:     0.35,
+        fill:        false,
+        yAxisID:     'y',
+        order:       10,
+      },
+    );
+  }
+
+  // Build options directly (no JSON clone — preserves callback functions)
+  const scalesY1 = tData ? {
+    y1: {
+      position: 'right',
+      grid:     { drawOnChartArea: false },
+      ticks:    { color: 'rgba(255,158,100,0.55)', font: { size: 10 }, maxTicksLimit: 3,
+                  callback: v => v.toFixed(0) + '\u00b0' },
+      border:   { color: 'transparent' },
+    },
+  } : {};
+
+  const qualRegions = buildQualifierRegions(observed, stationData?.missing, param);
+  const plugins     = [crosshairPlugin];
+  if (floodLevels.length) plugins.push(makeFloodBandsPlugin(floodLevels));
+  if (qualRegions.length) plugins.push(makeQualifierRegionsPlugin(qualRegions));
+
+  // Spans over ~6 months need the year to tell Mar '25 from Mar '26
+  const xMin     = qObsData[0].x;
+  const xMax     = hasForecast ? qFcastData[qFcastData.length - 1].x : lastObsTs;
+  const withYear = xMax - xMin > 180 * 86400000;
+  const daily    = getRange().daily;
+
+  const chart = new Chart(canvasEl.getContext('2d'), {
+    type: 'line',
+    data: { datasets },
+    plugins,
+    options: {
+      responsive:          true,
+      maintainAspectRatio: false,
+      animation:           { duration: 350 },
+      parsing:             false,
+      interaction:         { intersect: false, mode: 'nearestPerDataset' },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          backgroundColor: '#24283b',
+          borderColor:     '#414868',
+          borderWidth:     1,
+          titleColor:      '#c0caf5',
+          bodyColor:       '#a9b1d6',
+          padding:         10,
+          cornerRadius:    6,
+          filter:          item => item.parsed.y != null && !item.dataset.statBand && !item.dataset.fan,
+          callbacks: {
+            title: items => {
+              if (!items.length) return '';
+              const d = new Date(items[0].parsed.x);
+              return daily ? fmtDateLabel(d, withYear) : fmtDateTime(d);
+            },
+            label: ctx => {
+              if (ctx.dataset.label === 'Median')          return ` Median: ${fmtY(ctx.parsed.y)}`;
+              if (ctx.dataset.label.includes('Forecast'))  return ` Fcst: ${fmtY(ctx.parsed.y)}`;
+              if (ctx.dataset.observed) {
+                const codes = warnQualifiers(ds[ctx.dataIndex]);
+                return ` ${fmtY(ctx.parsed.y)}${codes.length ? ` (${codes.map(c => qualifierInfo(c).label).join(', ')})` : ''}`;
+              }
+              return ` ${ctx.parsed.y != null ? ctx.parsed.y.toFixed(1) : '\u2014'}${unitLabel('temp')}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          type:   'linear',
+          min:    xMin,
+          max:    xMax,
+          grid:   { color: 'rgba(41,53,90,0.35)', drawTicks: false },
+          ticks:  {
+            color: '#565f89', maxTicksLimit: 7, maxRotation: 0, font: { size: 10 },
+            callback: v => fmtTimeTick(v, xMax - xMin, withYear),
+          },
+          border: { color: '#29355a' },
+        },
+        y: {
+          position: 'left',
+          suggestedMax,
+          grid:     { color: 'rgba(41,53,90,0.35)' },
+          ticks:    { color: '#565f89', font: { size: 10 }, maxTicksLimit: 4 },
+          border:   { color: '#29355a' },
+        },
+        ...scalesY1,
+      },
+    },
+  });
+  chart.$crosshair = { label: crosshairLabel(qObsData, fmtY) };
+  state.charts[station.id] = chart;
+  return chart;
+}
+
+function createWeatherChart(canvasEl, daily, locationKey) {
+  const key = 'wx_' + locationKey;
+  const existing = state.charts[key];
+  if (existing) { try { existing.destroy(); } catch (_) {} }
+  if (!daily) return null;
+
+  const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+  const labels = daily.time.map(t => {
+    const d = new Date(t + 'T12:00:00');
+    return `${months[d.getMonth()]} ${d.getDate()}`;
+  });
+
+  const chart = new Chart(canvasEl.getContext('2d'), {
+    type: 'bar',
+    plugins: [crosshairPlugin],
+    data: {
+      labels,
+      datasets: [
+        {
+          label:           `High ${unitLabel('temp')}`,
+          data:            daily.temperature_2m_max.map(v => toUnit('temp', v)),
+          backgroundColor: 'rgba(224,175,104,0.65)',
+          borderColor:     '#e0af68',
+          borderWidth:     1,
+          borderRadius:    3,
+          yAxisID:         'y',
+          order:           2,
+        },
+        {
+          label:           `Low ${unitLabel('temp')}`,
+          data:            daily.temperature_2m_min.map(v => toUnit('temp', v)),
+          backgroundColor: 'rgba(122,162,247,0.45)',
+          borderColor:     '#7aa2f7',
+          borderWidth:     1,
+          borderRadius:    3,
+          yAxisID:         'y',
+          order:           3,
+        },
+        {
+          type:            'line',
+          label:           'Precip %',
+          data:            daily.precipitation_probability_max,
+          borderColor:     'rgba(125,207,255,0.7)',
+          backgroundColor: 'rgba(125,207,255,0.08)',
+          borderWidth:     1.5,
+          pointRadius:     2.5,
+          pointBackgroundColor: 'rgba(125,207,255,0.9)',
+          tension:         0.3,
+          fill:            true,
+          yAxisID:         'y1',
+          order:           1,
+        },
+      ],
+    },
+    options: {
+      responsive:          true,
+      maintainAspectRatio: false,
+      animation:           { duration: 350 },
+      interaction:         { intersect: false, mode: 'index' },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          backgroundColor: '#24283b',
+          borderColor:     '#414868',
+          borderWidth:     1,
+          titleColor:      '#c0caf5',
+          bodyColor:       '#a9b1d6',
+          padding:         10,
+          cornerRadius:    6,
+        },
+      },
+      scales: {
+        x: {
+          grid:   { color: 'rgba(41,53,90,0.3)', drawTicks: false },
+          ticks:  { color: '#565f89', font: { size: 9 }, maxRotation: 0 },
+          border: { color: '#29355a' },
+        },
+        y: {
+          grid:     { color: 'rgba(41,53,90,0.3)' },
+          ticks:    { color: '#565f89', font: { size: 9 }, maxTicksLimit: 4,
+                      callback: v => v + '\u00b0' },
+          border:   { color: '#29355a' },
+        },
+        y1: {
+          position: 'right',
+          min: 0, max: 100,
+          grid:     { drawOnChartArea: false },
+          ticks:    { color: 'rgba(125,207,255,0.4)', font: { size: 9 }, maxTicksLimit: 3,
+                      callback: v => v + '%' },
+          border:   { color: 'transparent' },
+        },
+      },
+    },
+  });
+
+  // Category axis of days: the crosshair lands on the bar for its local
+  // date, and hovering a bar publishes noon that day
+  const dayIndex = t => daily.time.indexOf(fmtISODate(new Date(t)));
+  chart.$crosshair = {
+    pixelAt: (c, t) => {
+      const i = dayIndex(t);
+      return i < 0 ? null : c.scales.x.getPixelForValue(i);
+    },
+    timeAt: (c, px) => {
+      const i = Math.round(c.scales.x.getValueForPixel(px));
+      const day = daily.time[Math.min(Math.max(i, 0), daily.time.length - 1)];
+      return new Date(`${day}T12:00:00`).getTime();
+    },
+    label: t => {
+      const i = dayIndex(t);
+      if (i < 0) return null;
+      const deg = v => Math.round(toUnit('temp', v));
+      return `${deg(daily.temperature_2m_max[i])}\u00b0/${deg(daily.temperature_2m_min[i])}\u00b0`;
+    },
+  };
+  state.charts[key] = chart;
+  return chart;
+}
+
+/**
+ * Next WEATHER_HOURS hour by hour: temperature (line), precipitation (bars,
+ * pale where any of it falls as snow) and the freezing level on its own
+ * right-hand axis. Linear epoch-ms x axis, so it joins the crosshair.
+ */
+function createHourlyWeatherChart(canvasEl, data, locationKey) {
+  const key = 'wxh_' + locationKey;
+  const existing = state.charts[key];
+  if (existing) { try { existing.destroy(); } catch (_) {} }
+  const hours = weatherHourly(data);
+  if (!hours.length) return null;
+
+  const xy     = (f, kind) => hours.map(h => ({ x: h.time.getTime(), y: f(h) == null ? null : toUnit(kind, f(h)) }));
+  const isSnow = hours.map(h => h.snowfall > 0);
+  const depth  = v => (state.units === 'metric' ? `${v.toFixed(1)} mm` : `${v.toFixed(2)}"`);
+  const fmtDay = t => {
+    const d = new Date(t);
+    return `${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][d.getDay()]} ${String(d.getHours()).padStart(2, '0')}:00`;
+  };
+
+  const temps = xy(h => h.temp, 'temp');
+  const chart = new Chart(canvasEl.getContext('2d'), {
+    type: 'bar',
+    plugins: [crosshairPlugin],
+    data: {
+      datasets: [
+        {
+          type:            'line',
+          label:           `Temp ${unitLabel('temp')}`,
+          data:            temps,
+          borderColor:     '#e0af68',
+          borderWidth:     1.5,
+          pointRadius:     0,
+          tension:         0.3,
+          yAxisID:         'y',
+          order:           1,
+        },
+        {
+          type:            'line',
+          label:           'Freezing level',
+          data:            xy(h => h.freezingFt, 'length'),
+          borderColor:     'rgba(125,207,255,0.7)',
+          borderWidth:     1.2,
+          borderDash:      [4, 3],
+          pointRadius:     0,
+          tension:         0.3,
+          yAxisID:         'y2',
+          order:           2,
+        },
+        {
+          label:           'Precip',
+          data:            xy(h => h.precip, 'depth'),
+          backgroundColor: isSnow.map(s => (s ? 'rgba(192,202,245,0.8)' : 'rgba(122,162,247,0.7)')),
+          barPercentage:   1,
+          categoryPercentage: 1,
+          yAxisID:         'y1',
+          order:           3,
+        },
+      ],
+    },
+    options: {
+      responsive:          true,
+      maintainAspectRatio: false,
+      animation:           { duration: 350 },
+      parsing:             false,
+      interaction:         { intersect: false, mode: 'index' },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          backgroundColor: '#24283b',
+          borderColor:     '#414868',
+          borderWidth:     1,
+          titleColor:      '#c0caf5',
+          bodyColor:       '#a9b1d6',
+          padding:         10,
+          cornerRadius:    6,
+          callbacks: {
+            title: items => items.length ? fmtDay(items[0].parsed.x) : '',
+            label: ctx => {
+              const v = ctx.parsed.y;
+              if (v == null) return null;
+              if (ctx.dataset.yAxisID === 'y')  return ` ${Math.round(v)}${unitLabel('temp')}`;
+              if (ctx.dataset.yAxisID === 'y2') return ` Freezing level ${fmtElevation(hours[ctx.dataIndex].freezingFt)}`;
+              const snow = hours[ctx.dataIndex].snowfall;
+              return ` ${depth(v)}${snow > 0 ? ` \u2014 snow ${depth(toUnit('depth', snow))}` : ''}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          type:   'linear',
+          min:    hours[0].time.getTime(),
+          max:    hours[hours.length - 1].time.getTime(),
+          grid:   { color: 'rgba(41,53,90,0.3)', drawTicks: false },
+          ticks:  {
+            color: '#565f89', font: { size: 9 }, maxRotation: 0, stepSize: 12 * 3600000,
+            callback: v => (new Date(v).getHours() === 0 ? fmtDay(v).slice(0, 3) : new Date(v).getHours() === 12 ? '12:00' : ''),
+          },
+          border: { color: '#29355a' },
+        },
+        y: {
+          grid:     { color: 'rgba(41,53,90,0.3)' },
+          ticks:    { color: '#565f89', font: { size: 9 }, maxTicksLimit: 4, callback: v => v + '\u00b0' },
+          border:   { color: '#29355a' },
+        },
+        // Precipitation bars sit along the bottom without their own labels
+        y1: {
+          display:     false,
+          min:         0,
+          suggestedMax: toUnit('depth', 0.15),
+        },
+        y2: {
+          position: 'right',
+          grid:     { drawOnChartArea: false },
+          ticks:    { color: 'rgba(125,207,255,0.5)', font: { size: 9 }, maxTicksLimit: 3,
+                      callback: v => `${(v / 1000).toFixed(state.units === 'metric' ? 1 : 0)}k` },
+          border:   { color: 'transparent' },
+        },
+      },
+    },
+  });
+  chart.$crosshair = { label: crosshairLabel(temps, y => `${Math.round(y)}\u00b0`) };
+  state.charts[key] = chart;
+  return chart;
+}
+
+// =====================================================================
+// UI — STATION CARDS
+// =====================================================================
+
+function destroyAllCharts() {
+  for (const [key, chart] of Object.entries(state.charts)) {
+    try { chart.destroy(); } catch (_) {}
+    delete state.charts[key];
+  }
+}
+
+function renderStationSkeletons() {
+  const grid = document.getElementById('stations-grid');
+  grid.innerHTML = STATIONS.map(s => `
+    <div class="station-card${state.focusStation === s.id ? ' focused' : ''}" id="card-${s.id}">
+      <div class="station-accent" style="background:linear-gradient(90deg,${s.color},${s.color}88)"></div>
+      <div class="station-header">
+        <div class="station-name">${s.name}</div>
+      </div>
+      <div class="station-metrics" style="padding-top:8px;padding-bottom:10px">
+        <div class="skel skel-num" style="position:relative;overflow:hidden;width:110px;height:1.9rem;display:inline-block"></div>
+      </div>
+      <div class="station-chart-wrap">
+        <div class="skel skel-chart" style="position:relative;overflow:hidden;height:110px;border-radius:6px"></div>
+      </div>
+    </div>
+  `).join('');
+}
+
+function renderStationCard(station, data) {
+  const card = document.getElementById(`card-${station.id}`);
+  if (!card) return;
+
+  const discharge  = data?.discharge  ?? [];
+  const waterTemp  = data?.waterTemp  ?? [];
+  const gageHeight = data?.gageHeight ?? [];
+
+  const latestQ = getLatestValue(discharge);
+  const latestT = getLatestValue(waterTemp);
+  const latestH = getLatestValue(gageHeight);
+  const trendQ  = analyzeTrend(discharge, trendThresholds(station, 'discharge'));
+  const trendT  = analyzeTrend(waterTemp, trendThresholds(station, 'waterTemp'));
+  const flood   = getFloodStatus(data?.thresholds, latestQ, latestH);
+  const normal  = latestQ ? classifyFlow(latestQ.value, getDayStats(data?.stats, latestQ.time)) : null;
+  const qualQ   = latestQualifierState(discharge, data?.missing, 'discharge');
+  const qualT   = latestQualifierState(waterTemp, data?.missing, 'waterTemp');
+
+  const trendHtml = trendArrowHTML(trendQ, 'flow', v => `${fmtFlow(v)} ${unitLabel('flow')}`);
+
+  const canvasId  = `chart-${station.id}`;
+
+  if (!latestQ) {
+    card.innerHTML = `
+      <div class="station-accent" style="background:linear-gradient(90deg,${station.color},${station.color}88)"></div>
+      <div class="station-header">
+        <span class="station-name">${station.name}</span>
+        <span class="station-badge no-data">No Data</span>
+      </div>
+      <div class="no-data-overlay">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+          <circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/>
+          <line x1="12" y1="16" x2="12.01" y2="16"/>
+        </svg>
+        No streamflow data available
+        <span style="font-size:0.6rem;color:#444b6a">USGS ${station.usgsId ?? 'N/A'} &middot; USBR ${station.usbrId}</span>
+      </div>`;
+    card.classList.add('card-in');
+    return;
+  }
+
+  // Latest 7DADM over the station's criterion, or which range would rate one
+  const range     = getRange();
+  const tempStats = latestT ? tempAnalytics(station, waterTemp) : null;
+  const tempFlag  = tempStats?.latest?.exceeds
+    ? `<span class="temp-exceed" title="7DADM ${fmtTemp(tempStats.latest.sdadm)} on ${fmtDateLabel(tempStats.latest.day)} \u2014 ${tempStats.criterion.label} limit ${fmtTemp(tempStats.criterion.maxF)}">7DADM</span>`
+    : tempStats && !tempStats.ratedDays && (range.daily || range.days < TEMP_SDADM_MIN_DAYS)
+      ? `<span class="temp-note" title="7DADM needs ${TEMP_SDADM_MIN_DAYS}+ days of sub-daily readings \u2014 pick the 14D or 30D range to check the ${tempStats.criterion.label} limit">7DADM: 14D/30D</span>`
+      : '';
+
+  const tempHtml = latestT
+    ? `<div class="metric-badge"${qualT ? ` title="${qualT.codes.map(c => qualifierInfo(c).label).join(', ')}"` : ''}>
+         <span class="metric-badge-value temp-value">${fmtTemp(latestT.value)}${qualT ? '*' : ''}${trendArrowHTML(trendT, 'temp', fmtTemp, { showRate: false })}</span>
+         <span class="metric-badge-label temp-label">Water Temp${tempFlag}</span>
+       </div>`
+    : '';
+
+  const stageHtml = latestH
+    ? `<div class="metric-badge">
+         <span class="metric-badge-value">${fmtStage(latestH.value)}</span>
+         <span class="metric-badge-label">Stage</span>
+       </div>`
+    : '';
+
+  const normalHtml = normal
+    ? `<span class="pct-normal ${normal.cls}" title="~${normal.rank}th percentile for ${fmtDateLabel(latestQ.time)} (${data.stats.source} record)">${normal.pctOfMedian}% of median &middot; ${normal.label}</span>`
+    : '';
+
+  // Latest discharge reading is estimated / ice-affected / missing
+  const qualHtml = qualQ
+    ? `<div class="qualifier-warning">\u26a0 ${qualQ.noValue
+        ? `No valid reading${qualQ.since ? ` since ${fmtDateTime(qualQ.since)}` : ''}`
+        : 'Latest reading'}: ${qualQ.codes.map(c => qualifierInfo(c).label).join(', ')}</div>`
+    : '';
+  const provisional = (latestQ.qualifiers ?? []).includes('P');
+
+  // Flow / stage switch for the hydrograph, when there is stage to show
+  const view = hydrographView(station.id, data);
+  const viewToggleHtml = gageHeight.length > 1
+    ? `<div class="hydro-toggle" role="group" aria-label="Hydrograph series">${['flow', 'stage'].map(v =>
+        `<button class="hydro-btn${v === view ? ' active' : ''}" data-hydro-view="${station.id}:${v}">${v === 'flow' ? 'Flow' : 'Stage'}</button>`).join('')}</div>`
+    : '';
+
+  // Flood category + distance to the next threshold (flow in cfs, or stage in ft)
+  let floodHtml = '';
+  if (flood) {
+    const fmt  = v => flood.kind === 'flow' ? `${fmtFlow(v)} ${unitLabel('flow')}` : fmtStage(v);
+    const chip = flood.category
+      ? `<span class="flood-chip" style="color:${flood.category.color};border-color:${flood.category.color}66">${flood.category.label}</span>`
+      : '<span class="flood-chip below">Below flood stage</span>';
+    const nextTxt = flood.next
+      ? `${fmt(flood.next.distance)} to ${flood.next.label}`
+      : 'Above highest threshold';
+    floodHtml = `<div class="flood-status">${chip}<span class="flood-next">${nextTxt}</span></div>`;
+  }
+
+  card.innerHTML = `
+    <div class="station-accent" style="background:linear-gradient(90deg,${station.color},${station.color}88)"></div>
+    <div class="station-header">
+      <span class="station-name">${station.name}</span>
+      <span class="station-badges">${sourceBadgesHTML(data.sources)}</span>
+      <button class="card-link-btn" data-copy-link="${station.id}" title="Copy link to this station" aria-label="Copy link to this station">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round">
+          <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/>
+          <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
+        </svg>
+      </button>
+      ${makeExportMenuHTML(station, data)}
+    </div>
+    <div class="station-metrics">
+      <div class="flow-group">
+        <span class="flow-value" style="color:${station.color}">${fmtFlow(latestQ.value)}</span>
+        <span class="flow-unit">${unitLabel('flow')}</span>
+        ${trendHtml}
+        ${normalHtml}
+      </div>
+      <div class="secondary-metrics">${tempHtml}${stageHtml}</div>
+    </div>
+    ${floodHtml}
+    ${qualHtml}
+    <div class="travel-slot" data-travel="${station.id}">${travelNoteHTML(station.id)}</div>
+    <div class="station-chart-wrap">${viewToggleHtml}<canvas id="${canvasId}"></canvas></div>
+    ${data.staleSince ? `<div class="stale-marker" title="Upstream unavailable — showing cached data">Stale since ${fmtDateTime(data.staleSince)}</div>` : ''}
+    <div class="station-footer">
+      <span>Updated ${fmtAge(latestQ.time)}${provisional ? ' \u00b7 provisional' : ''}</span>
+      <span>${data.sources.discharge === 'USGS' ? 'USGS\u00a0' + station.usgsId : 'USBR\u00a0' + station.usbrId}</span>
+    </div>`;
+
+  card.classList.add('card-in');
+
+  requestAnimationFrame(() => {
+    const canvas = document.getElementById(canvasId);
+    if (canvas) createHydrograph(canvas, data, station);
+  });
+}
+
+function initHydrographToggle() {
+  document.getElementById('stations-grid').addEventListener('click', e => {
+    const btn = e.target.closest('[data-hydro-view]');
+    if (!btn) return;
+    const [id, view] = btn.dataset.hydroView.split(':');
+    const station = STATIONS.find(s => s.id === id);
+    if (!station) return;
+    if (view === 'stage') state.hydroView[id] = 'stage';
+    else delete state.hydroView[id];
+    saveJSON('yakima.hydroView', state.hydroView);
+    btn.parentElement.querySelectorAll('.hydro-btn').forEach(b => b.classList.toggle('active', b === btn));
+    const canvas = document.getElementById(`chart-${id}`);
+    if (canvas) createHydrograph(canvas, state.stationData[id], station);
+  });
+}
+
+// =====================================================================
+// UI — WEATHER CARDS
+// =====================================================================
+
+function renderWeatherSkeletons() {
+  const grid = document.getElementById('weather-grid');
+  grid.innerHTML = WEATHER_LOCATIONS.map(loc => `
+    <div class="weather-card" id="wx-${loc.name.replace(/\s+/g, '_')}">
+      <div class="weather-header">
+        <div class="weather-location">${loc.name}</div>
+      </div>
+      <div class="weather-main" style="gap:14px;padding-bottom:14px">
+        <div class="skel" style="position:relative;overflow:hidden;width:48px;height:48px;border-radius:8px;display:inline-block"></div>
+        <div>
+          <div class="skel" style="position:relative;overflow:hidden;width:80px;height:1.9rem;display:inline-block;margin-bottom:6px;border-radius:4px"></div>
+          <div class="skel" style="position:relative;overflow:hidden;width:120px;height:0.75em;display:block;border-radius:4px"></div>
+        </div>
+      </div>
+    </div>
+  `).join('');
+}
+
+function renderWeatherCard(loc, data) {
+  const id   = `wx-${loc.name.replace(/\s+/g, '_')}`;
+  const card = document.getElementById(id);
+  if (!card) return;
+
+  if (!data) {
+    card.innerHTML = `
+      <div class="weather-header"><div class="weather-location">${loc.name}</div></div>
+      <div class="no-data-overlay">Weather data unavailable</div>`;
+    return;
+  }
+
+  const cur    = data.current;
+  const daily  = data.daily;
+  const emoji  = wmoToEmojiSafe(cur.weather_code);
+  const desc   = wmoToDesc(cur.weather_code);
+  const canvasId = `wxchart-${loc.name.replace(/\s+/g, '_')}`;
+  const hourlyId = `wxhourly-${loc.name.replace(/\s+/g, '_')}`;
+
+  // Tomorrow's high/low for context
+  const deg     = v => (v == null ? '—' : Math.round(toUnit('temp', v)));
+  const tmwHigh = deg(daily?.temperature_2m_max?.[1]);
+  const tmwLow  = deg(daily?.temperature_2m_min?.[1]);
+  const precip  = state.units === 'metric'
+    ? `${toUnit('depth', cur.precipitation).toFixed(1)} mm`
+    : `${cur.precipitation.toFixed(2)}"`;
+
+  card.innerHTML = `
+    <div class="weather-header">
+      <div class="weather-location">${loc.name}</div>
+      <span style="font-size:0.65rem;color:#565f89">Tomorrow ${tmwHigh}\u00b0 / ${tmwLow}\u00b0</span>
+    </div>
+    <div class="weather-main">
+      <div class="weather-icon">${emoji}</div>
+      <div class="weather-temp-group">
+        <span class="weather-temp">${deg(cur.temperature_2m)}\u00b0</span>
+        <span class="weather-condition">${desc}</span>
+        <span class="weather-feels">Feels like ${deg(cur.apparent_temperature)}${unitLabel('temp')}</span>
+      </div>
+    </div>
+    <div class="weather-details">
+      <div class="w-detail">
+        <span class="w-detail-val">${toUnit('speed', cur.wind_speed_10m).toFixed(0)} ${unitLabel('speed')}</span>
+        <span class="w-detail-lbl">Wind</span>
+      </div>
+      <div class="w-detail">
+        <span class="w-detail-val">${cur.relative_humidity_2m}%</span>
+        <span class="w-detail-lbl">Humidity</span>
+      </div>
+      <div class="w-detail">
+        <span class="w-detail-val">${precip}</span>
+        <span class="w-detail-lbl">Precip (1h)</span>
+      </div>
+    </div>
+    ${loc.snotel ? `<div class="ros-slot" data-ros="${loc.name}">${rainOnSnowHTML(loc)}</div>` : ''}
+    ${data.hourly?.time?.length ? `
+    <div class="weather-chart-wrap hourly">
+      <div class="weather-chart-label">Next ${WEATHER_HOURS}h &mdash; ${unitLabel('temp')}, Precip (pale = snow) &amp; Freezing Level</div>
+      <canvas id="${hourlyId}"></canvas>
+    </div>` : ''}
+    <div class="weather-chart-wrap">
+      <div class="weather-chart-label">7-Day &mdash; High/Low ${unitLabel('temp')} &amp; Precip Probability</div>
+      <canvas id="${canvasId}"></canvas>
+    </div>`;
+
+  card.classList.add('card-in');
+
+  requestAnimationFrame(() => {
+    const canvas = document.getElementById(canvasId);
+    if (canvas) createWeatherChart(canvas, daily, loc.name);
+    const hourlyCanvas = document.getElementById(hourlyId);
+    if (hourlyCanvas) createHourlyWeatherChart(hourlyCanvas, data, loc.name);
+  });
 }
 
 // =====================================================================
-// CHARTS — Chart.js 4
+// RAIN ON SNOW — winter flood risk from the hourly forecast
+// For weather locations with linked SNOTEL sites (WEATHER_LOCATIONS[].snotel)
+// that still hold snow. An hour rains on the snowpack when the snow level —
+// ROS_SNOW_LEVEL_BELOW_FT under the freezing level — is above the lowest
+// snow-covered site; hours with the freezing level ROS_MELT_ABOVE_FT over
+// the highest site melt the pack outright. The risk is the first level
+// whose rain total or melt hours are reached. The valley forecast stands
+// in for the mountain sites, which usually get more — treat the rain
+// total as a floor.
 // =====================================================================
 
-/** Gradient fill that scales with the chart area. */
-function makeGradientPlugin(color) {
-  return function(context) {
-    const { chart } = context;
-    const { ctx, chartArea } = chart;
-    if (!chartArea) return 'transparent';
-    const gradient = ctx.createLinearGradient(0, chartArea.top, 0, chartArea.bottom);
-    gradient.addColorStop(0,   color + 'bb');
-    gradient.addColorStop(0.65, color + '33');
-    gradient.addColorStop(1,   color + '00');
-    return gradient;
+const ROS_SNOW_LEVEL_BELOW_FT = 1000;
+const ROS_MELT_ABOVE_FT       = 3000;
+const ROS_MIN_SWE_IN          = 1;     // less than this is not a snowpack
+
+// Highest first; the last level is the default
+const ROS_LEVELS = [
+  { key: 'high',     label: 'High',     color: '#f7768e', rainIn: 1.0, meltHours: 36 },
+  { key: 'moderate', label: 'Moderate', color: '#ff9e64', rainIn: 0.3, meltHours: 12 },
+  { key: 'low',      label: 'Low',      color: '#9ece6a' },
+];
+
+/**
+ * Rain-on-snow risk for one location: null when it has no linked sites or
+ * nothing has loaded yet; { level: null, sites: [] } when there is no
+ * snowpack; otherwise { level, rainIn, meltHours, startsAt, peakFreezingFt, sites }.
+ */
+function rainOnSnowRisk(loc, weather, snotelData) {
+  if (!loc.snotel?.length) return null;
+  const hours = weatherHourly(weather);
+  if (!hours.length || !Object.keys(snotelData ?? {}).length) return null;
+
+  const sites = loc.snotel
+    .map(triplet => ({ site: SNOTEL_SITES.find(s => s.triplet === triplet), sum: summarizeSnotel(snotelData[triplet]) }))
+    .filter(x => x.site && x.sum && x.sum.value >= ROS_MIN_SWE_IN)
+    .map(x => ({ name: x.site.name, elev: x.site.elev, swe: x.sum.value }));
+  if (!sites.length) return { level: null, sites };
+
+  const lowest  = Math.min(...sites.map(s => s.elev));
+  const highest = Math.max(...sites.map(s => s.elev));
+  let rainIn = 0, meltHours = 0, startsAt = null, peakFreezingFt = null;
+  for (const h of hours) {
+    if (h.freezingFt == null) continue;
+    peakFreezingFt = Math.max(peakFreezingFt ?? h.freezingFt, h.freezingFt);
+    if (h.freezingFt - ROS_SNOW_LEVEL_BELOW_FT > lowest && h.precip > 0) {
+      rainIn  += h.precip;
+      startsAt ??= h.time;
+    }
+    if (h.freezingFt > highest + ROS_MELT_ABOVE_FT) meltHours++;
+  }
+
+  const level = ROS_LEVELS.find(l => rainIn >= l.rainIn || meltHours >= l.meltHours) ?? ROS_LEVELS[ROS_LEVELS.length - 1];
+  return { level, rainIn, meltHours, startsAt, peakFreezingFt, sites };
+}
+
+function rainOnSnowHTML(loc) {
+  const risk = rainOnSnowRisk(loc, state.weatherData[loc.name], state.snotelData);
+  if (!risk) return '';
+  if (!risk.level) {
+    return '<div class="ros-risk none">Rain-on-snow: no snowpack at the linked SNOTEL sites</div>';
+  }
+  const depth = v => (state.units === 'metric' ? `${toUnit('depth', v).toFixed(0)} mm` : `${v.toFixed(2)}"`);
+  const when  = risk.startsAt ? `, from ${fmtDateTime(risk.startsAt)}` : '';
+  const parts = [
+    risk.rainIn > 0 ? `${depth(risk.rainIn)} of rain above the snow line${when}` : 'No rain on the snowpack',
+    risk.meltHours ? `${risk.meltHours} h of melt` : null,
+    `freezing level to ${fmtElevation(risk.peakFreezingFt)}`,
+  ].filter(Boolean);
+  const tip = risk.sites.map(s => `${s.name} (${fmtElevation(s.elev, 1)}): ${fmtSWE(s.swe)} SWE`).join('\n');
+  return `<div class="ros-risk" style="--ros-color:${risk.level.color}" title="${tip}">
+    Rain-on-snow risk <b>${risk.level.label}</b>
+    <span class="ros-detail">${parts.join(' \u00b7 ')}</span>
+  </div>`;
+}
+
+/** Refill every card's risk line (SNOTEL usually lands after the weather). */
+function renderRainOnSnow() {
+  document.querySelectorAll('[data-ros]').forEach(slot => {
+    const loc = WEATHER_LOCATIONS.find(l => l.name === slot.dataset.ros);
+    if (loc) slot.innerHTML = rainOnSnowHTML(loc);
+  });
+}
+
+// =====================================================================
+// COMPARISON — several stations' discharge on one time axis
+// Uses a linear x axis on epoch ms (no date adapter is loaded) so series
+// with different timestamps and per-station shifts line up. A positive
+// shift moves a station later — shift an upstream gauge forward by the
+// travel time to lay its hydrograph over the downstream one.
+// Selection, scale and shifts persist in localStorage.
+// =====================================================================
+
+const COMPARE_KEY        = 'yakima.compare';
+const COMPARE_MAX_POINTS = 400;
+const COMPARE_SCALES     = { abs: 'Absolute', norm: '% of period max', log: 'Log' };
+
+function loadCompareSettings() {
+  const saved = loadJSON(COMPARE_KEY, null);
+  return {
+    ids:    saved?.ids ?? ['easton', 'cle_elum', 'horlick', 'umtanum'],
+    scale:  saved?.scale in COMPARE_SCALES ? saved.scale : 'abs',
+    shifts: saved?.shifts ?? {},
   };
 }
 
+/** One station's discharge as {x: ms, y} with shift and scale applied. */
+function compareSeries(values, shiftHours, scale) {
+  const pts   = downsample(values, COMPARE_MAX_POINTS) ?? [];
+  const shift = (shiftHours || 0) * 3600000;
+  const max   = values.reduce((m, v) => Math.max(m, v.value), -Infinity);
+  return pts
+    .filter(p => scale !== 'log' || p.value > 0)
+    .map(p => ({
+      x: p.time.getTime() + shift,
+      y: scale === 'norm' ? (max > 0 ? p.value / max * 100 : null) : toUnit('flow', p.value),
+    }));
+}
+
+function fmtShift(h) {
+  return h ? ` (${h > 0 ? '+' : '\u2212'}${Math.abs(h)}h)` : '';
+}
 
-function createHydrograph(canvasEl, stationData, station) {
-  const existing = state.charts[station.id];
+function renderCompareControls() {
+  const cfg = state.compare;
+  document.getElementById('compare-scale').value = cfg.scale;
+  document.getElementById('compare-stations').innerHTML = STATIONS.map(st => {
+    const on = cfg.ids.includes(st.id);
+    return `
+      <div class="compare-station${on ? ' on' : ''}" style="--station-color:${st.color}">
+        <label>
+          <input type="checkbox" data-compare-id="${st.id}"${on ? ' checked' : ''}>
+          <span class="compare-swatch"></span>${st.shortName}
+        </label>
+        <input type="number" class="compare-shift" data-shift-id="${st.id}" step="1"
+               value="${cfg.shifts[st.id] ?? 0}" title="Time shift (hours)" aria-label="${st.shortName} time shift in hours"${on ? '' : ' disabled'}>
+        <span class="compare-shift-unit">h</span>
+      </div>`;
+  }).join('');
+}
+
+function renderComparison() {
+  const canvas = document.getElementById('compare-chart');
+  const existing = state.charts.compare;
   if (existing) { try { existing.destroy(); } catch (_) {} }
 
-  const discharge = (stationData?.discharge ?? []).sort((a, b) => a.time - b.time);
-  const waterTemp = stationData?.waterTemp ?? [];
-  const rawFcast  = (stationData?.forecast  ?? []).sort((a, b) => a.time - b.time);
+  const cfg = state.compare;
+  const datasets = STATIONS
+    .filter(st => cfg.ids.includes(st.id) && state.stationData[st.id]?.discharge?.length)
+    .map(st => ({
+      label:       st.shortName + fmtShift(cfg.shifts[st.id]),
+      data:        compareSeries(state.stationData[st.id].discharge, cfg.shifts[st.id], cfg.scale),
+      borderColor: st.color,
+      borderWidth: 1.75,
+      pointRadius: 0,
+      tension:     0.25,
+      spanGaps:    true,
+    }));
+
+  document.getElementById('compare-empty').hidden = datasets.length > 0;
+  if (datasets.length === 0) return;
 
-  if (discharge.length === 0) {
-    const ctx = canvasEl.getContext('2d');
-    ctx.fillStyle = '#565f89';
-    ctx.font = '11px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('No data', canvasEl.width / 2, canvasEl.height / 2);
-    return null;
+  const days = getRange().days;
+  const fmtY = cfg.scale === 'norm' ? v => `${Math.round(v)}%` : v => fmtFlowNum(v);
+
+  state.charts.compare = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: { datasets },
+    plugins: [crosshairPlugin],
+    options: {
+      responsive:          true,
+      maintainAspectRatio: false,
+      animation:           { duration: 350 },
+      parsing:             false,
+      interaction:         { intersect: false, mode: 'nearestPerDataset' },
+      plugins: {
+        legend: {
+          display: true,
+          labels:  { color: '#a9b1d6', font: { size: 10 }, boxWidth: 12 },
+        },
+        tooltip: {
+          backgroundColor: '#24283b',
+          borderColor:     '#414868',
+          borderWidth:     1,
+          titleColor:      '#c0caf5',
+          bodyColor:       '#a9b1d6',
+          padding:         10,
+          cornerRadius:    6,
+          callbacks: {
+            title: items => items.length ? fmtDateTime(new Date(items[0].parsed.x)) : '',
+            label: ctx => ` ${ctx.dataset.label}: ${fmtY(ctx.parsed.y)}${cfg.scale === 'norm' ? '' : ' ' + unitLabel('flow')}`,
+          },
+        },
+      },
+      scales: {
+        x: {
+          type:   'linear',
+          grid:   { color: 'rgba(41,53,90,0.3)', drawTicks: false },
+          ticks:  {
+            color: '#565f89', font: { size: 9 }, maxRotation: 0, maxTicksLimit: 8,
+            callback: v => fmtTimeTick(v, days * 86400000),
+          },
+          border: { color: '#29355a' },
+        },
+        y: {
+          type:   cfg.scale === 'log' ? 'logarithmic' : 'linear',
+          grid:   { color: 'rgba(41,53,90,0.3)' },
+          ticks:  { color: '#565f89', font: { size: 9 }, maxTicksLimit: 6, callback: v => fmtY(v) },
+          border: { color: '#29355a' },
+          ...(cfg.scale === 'norm' ? { min: 0, max: 100 } : {}),
+        },
+      },
+    },
+  });
+}
+
+function initComparison() {
+  state.compare = loadCompareSettings();
+  renderCompareControls();
+
+  const update = () => {
+    saveJSON(COMPARE_KEY, state.compare);
+    renderComparison();
+  };
+
+  document.getElementById('compare-scale').addEventListener('change', e => {
+    state.compare.scale = e.target.value;
+    update();
+  });
+
+  const picker = document.getElementById('compare-stations');
+  picker.addEventListener('change', e => {
+    const id = e.target.dataset.compareId;
+    if (id) {
+      const ids = new Set(state.compare.ids);
+      e.target.checked ? ids.add(id) : ids.delete(id);
+      state.compare.ids = STATIONS.map(s => s.id).filter(sid => ids.has(sid));
+      renderCompareControls();
+      update();
+    }
+  });
+  picker.addEventListener('input', e => {
+    const id = e.target.dataset.shiftId;
+    if (!id) return;
+    const h = parseFloat(e.target.value);
+    state.compare.shifts[id] = isNaN(h) ? 0 : h;
+    update();
+  });
+}
+
+// =====================================================================
+// TRAVEL TIME — lag between upstream and downstream gauges
+// The lag for each reach is the shift that best correlates the hour-to-hour
+// changes of the two discharge series (differencing removes the shared
+// seasonal baseline so the match is driven by releases and freshets).
+// The regression slope at that lag is the gain: how much of an upstream
+// change survives to the downstream gauge.
+// A change at the upstream gauge that the downstream reading can't have
+// seen yet is projected forward by the lag.
+// Estimates need a few days of hourly data; the last good one per reach is
+// kept in localStorage so short ranges (24H) can still project.
+// =====================================================================
+
+const TRAVEL_REACHES = [
+  { from: 'easton',   to: 'cle_elum', maxLagH: 18 },
+  { from: 'cle_res',  to: 'cle_elum', maxLagH: 12 },
+  { from: 'cle_elum', to: 'horlick',  maxLagH: 24 },
+  { from: 'teanaway', to: 'horlick',  maxLagH: 18 },
+  { from: 'horlick',  to: 'umtanum',  maxLagH: 24 },
+];
+
+const TRAVEL_KEY        = 'yakima.travelLags';
+const TRAVEL_MIN_PAIRS  = 48;    // overlapping hourly differences needed for an estimate
+const TRAVEL_MIN_R      = 0.3;   // weaker correlations are not trusted
+const TRAVEL_MIN_CHANGE = 25;    // cfs; also at least 10% of flow
+
+/** Hourly means keyed by epoch-ms hour start. */
+function resampleHourly(values) {
+  const buckets = new Map();
+  for (const v of values ?? []) {
+    const h = Math.floor(v.time.getTime() / 3600000) * 3600000;
+    const b = buckets.get(h) ?? { sum: 0, n: 0 };
+    b.sum += v.value;
+    b.n   += 1;
+    buckets.set(h, b);
   }
+  const out = new Map();
+  for (const [h, b] of buckets) out.set(h, b.sum / b.n);
+  return out;
+}
 
-  // Downsample observed — target ~80 points so chart stays crisp
-  const ds        = downsample(discharge, 80);
-  const lastObsTs = ds.length ? ds[ds.length - 1].time.getTime() : 0;
+/** Hour-to-hour change; only between consecutive hours that both exist. */
+function hourlyDiffs(hourly) {
+  const out = new Map();
+  for (const [h, v] of hourly) {
+    const prev = hourly.get(h - 3600000);
+    if (prev !== undefined) out.set(h, v - prev);
+  }
+  return out;
+}
 
-  // Forecast: only future points, keeping the connector at the last observed value
-  const futureFcast = rawFcast.filter(d => d.time.getTime() > lastObsTs);
+/**
+ * Best lag (hours) between two discharge series by cross-correlating their
+ * differenced hourly values. Returns { lagHours, r, gain, pairs } or null.
+ */
+function estimateLag(upValues, downValues, maxLagH) {
+  const up   = hourlyDiffs(resampleHourly(upValues));
+  const down = hourlyDiffs(resampleHourly(downValues));
+  let best = null;
+
+  for (let lag = 0; lag <= maxLagH; lag++) {
+    let n = 0, sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+    for (const [h, x] of up) {
+      const y = down.get(h + lag * 3600000);
+      if (y === undefined) continue;
+      n++; sx += x; sy += y; sxx += x * x; syy += y * y; sxy += x * y;
+    }
+    if (n < TRAVEL_MIN_PAIRS) continue;
+    const cov  = sxy - sx * sy / n;
+    const varX = sxx - sx * sx / n;
+    const varY = syy - sy * sy / n;
+    if (varX <= 0 || varY <= 0) continue;
+    const r = cov / Math.sqrt(varX * varY);
+    if (!best || r > best.r) best = { lagHours: lag, r, gain: cov / varX, pairs: n };
+  }
+
+  if (!best || best.r < TRAVEL_MIN_R) return null;
+  best.gain = Math.min(Math.max(best.gain, 0), 1.5);
+  return best;
+}
+
+/**
+ * Project an upstream change onto the downstream gauge.
+ * The downstream reading at time D reflects upstream flow at D − lag; any
+ * change since then is still in transit. Arrival is when the midpoint of
+ * that change passes the upstream gauge, plus the lag.
+ */
+function projectArrival(upValues, downValues, lag) {
+  const up       = resampleHourly(upValues);
+  const downLast = getLatestValue(downValues);
+  const upLast   = getLatestValue(upValues);
+  if (!downLast || !upLast) return null;
+
+  const lagMs  = lag.lagHours * 3600000;
+  const refH   = Math.floor((downLast.time.getTime() - lagMs) / 3600000) * 3600000;
+  const upRef  = up.get(refH);
+  if (upRef === undefined) return null;
 
-  // Build unified label/index arrays
-  // observed labels + forecast labels (day+hour for 6h-interval forecast)
-  const fmtFcastLabel = d => {
-    const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-    const h   = d.getHours();
-    const ampm = h === 0 ? '12a' : h < 12 ? `${h}a` : h === 12 ? '12p' : `${h - 12}p`;
-    return `${months[d.getMonth()]} ${d.getDate()} ${ampm}`;
+  const delta = upLast.value - upRef;
+  if (Math.abs(delta) < Math.max(TRAVEL_MIN_CHANGE, 0.1 * upRef)) return null;
+
+  let crossing = null;
+  for (const h of [...up.keys()].filter(h => h > refH).sort((a, b) => a - b)) {
+    if (Math.abs(up.get(h) - upRef) >= Math.abs(delta) / 2) { crossing = h; break; }
+  }
+  if (crossing === null) return null;
+
+  const arrival = new Date(crossing + lagMs);
+  // Already arrived by now — the downstream reading is just lagging
+  if (arrival.getTime() < Date.now() - 3600000) return null;
+
+  return {
+    arrival,
+    delta:    delta * lag.gain,
+    expected: Math.max(downLast.value + delta * lag.gain, 0),
   };
+}
 
-  const obsLabels   = ds.map(v => fmtDateLabel(v.time));
-  const fcastLabels = futureFcast.map(v => fmtFcastLabel(v.time));
-  const labels      = [...obsLabels, ...fcastLabels];
+function estimateTravelTimes(range) {
+  const saved = REPLAY.mode === 'mock' ? {} : loadJSON(TRAVEL_KEY, {});
+  const out   = [];
 
-  const obsCount   = ds.length;
-  const fcastCount = futureFcast.length;
+  for (const reach of TRAVEL_REACHES) {
+    const key  = `${reach.from}>${reach.to}`;
+    const up   = state.stationData[reach.from]?.discharge;
+    const down = state.stationData[reach.to]?.discharge;
+    if (!up?.length || !down?.length) continue;
 
-  // Observed discharge: real values + nulls for forecast slots
-  const qObsData = [
-    ...ds.map(v => v.value),
-    ...Array(fcastCount).fill(null),
-  ];
+    // Daily values can't resolve an hours-scale lag
+    let lag = range.daily ? null : estimateLag(up, down, reach.maxLagH);
+    if (lag) saved[key] = { ...lag, at: Date.now() };
+    else lag = saved[key] ?? null;
+    if (!lag) continue;
 
-  // Forecast discharge: null for observed slots + connector at boundary + forecast values
-  const qFcastData = [
-    ...Array(obsCount - 1).fill(null),
-    obsCount > 0 ? ds[obsCount - 1].value : null, // connector
-    ...futureFcast.map(v => v.value),
-  ];
+    // A historical custom window has nothing in transit
+    const projection = range.daily || range.custom ? null : projectArrival(up, down, lag);
+    out.push({ ...reach, lag, projection });
+  }
 
-  // Align temperature to observed timestamps only (no temp in forecast)
-  let tData = null;
-  if (waterTemp.length > 0) {
-    const sortedT = [...waterTemp].sort((a, b) => a.time - b.time);
-    const aligned = ds.map(dp => {
-      const nearest = sortedT.reduce((best, tv) =>
-        Math.abs(tv.time - dp.time) < Math.abs(best.time - dp.time) ? tv : best
-      );
-      return Math.abs(nearest.time - dp.time) < 4 * 3600000 ? nearest.value : null;
-    });
-    tData = [...aligned, ...Array(fcastCount).fill(null)];
+  if (REPLAY.mode !== 'mock') saveJSON(TRAVEL_KEY, saved);
+  return out;
+}
+
+function fmtArrival(date) {
+  const p   = n => String(n).padStart(2, '0');
+  const hhmm = `${p(date.getHours())}:${p(date.getMinutes())}`;
+  return date.toDateString() === new Date().toDateString() ? hhmm : `${fmtDateLabel(date)} ${hhmm}`;
+}
+
+function travelNoteHTML(stationId) {
+  return (state.travel ?? [])
+    .filter(t => t.to === stationId && t.projection)
+    .map(t => {
+      const from = STATIONS.find(s => s.id === t.from);
+      const what = from.id === 'cle_res' ? 'Release change' : `${from.shortName} change`;
+      const sign = t.projection.delta >= 0 ? '+' : '\u2212';
+      const tip  = `${from.shortName} \u2192 ${t.lag.lagHours}h lag (r=${t.lag.r.toFixed(2)}, gain ${t.lag.gain.toFixed(2)})`;
+      return `<div class="travel-note" title="${tip}">
+        <span class="travel-icon">\u21e3</span>${what} arriving ~${fmtArrival(t.projection.arrival)}
+        <span class="travel-mag">${sign}${fmtFlow(Math.abs(t.projection.delta))} \u2192 ~${fmtFlow(t.projection.expected)} ${unitLabel('flow')}</span>
+      </div>`;
+    }).join('');
+}
+
+function renderTravelNotes() {
+  document.querySelectorAll('[data-travel]').forEach(slot => {
+    slot.innerHTML = travelNoteHTML(slot.dataset.travel);
+  });
+}
+
+// =====================================================================
+// CONDITIONS — fishing / floating rating per reach
+// Each reach between two STATIONS is rated Good, Fair or Poor on four
+// factors and takes the worst of them:
+//   flow        the downstream gauge against the reach's flow bands (cfs):
+//               below `low` too bony to float, `ideal` the sweet spot,
+//               above `high` blown out
+//   trend       rising water colours up and puts fish down (see TRENDS)
+//   water temp  the warmer end; at HOOT_OWL_F and above, fish only in the
+//               cool of the morning (WDFW "hoot-owl" hours)
+//   weather     today's forecast at the weather location nearest the reach
+// Any flood category at either end makes the reach Poor outright.
+// Ratings describe right now, so a reach is left unrated on a custom
+// range, on daily means (ranges over DAILY_THRESHOLD_DAYS) and when its
+// latest flow is older than CONDITION_MAX_AGE_MS.
+// Bands are judgment calls for the Upper Yakima — tune them here.
+// =====================================================================
+
+const CONDITION_REACHES = [
+  { id: 'easton-cle',      from: 'easton',   to: 'cle_elum', name: 'Easton \u2192 Cle Elum',   flow: { low: 300, ideal: [600, 2500],  high: 4000 } },
+  { id: 'cle-horlick',     from: 'cle_elum', to: 'horlick',  name: 'Cle Elum \u2192 Horlick', flow: { low: 500, ideal: [900, 3500],  high: 5000 } },
+  { id: 'horlick-umtanum', from: 'horlick',  to: 'umtanum',  name: 'Horlick \u2192 Umtanum',  flow: { low: 600, ideal: [1000, 4000], high: 5500 } },
+];
+
+const CONDITION_RATINGS = {
+  good: { label: 'Good', color: '#9ece6a', rank: 0 },
+  fair: { label: 'Fair', color: '#e0af68', rank: 1 },
+  poor: { label: 'Poor', color: '#f7768e', rank: 2 },
+};
+
+const HOOT_OWL_F = 68;    // °F — fish before 2 pm only
+const WARM_F     = 64;    // °F — land and release fish quickly
+const COLD_F     = 38;    // °F — fish are sluggish
+
+const CONDITION_MAX_AGE_MS = 3 * 3600000;
+
+// Today's forecast at or beyond these makes the day Fair
+const CONDITION_WEATHER = {
+  rainIn:  0.5,   // daily precipitation, inches
+  windMph: 20,    // current wind
+  hotF:    90,    // daily high, °F
+  coldF:   35,    // daily high, °F
+};
+
+/** The WEATHER_LOCATIONS entry nearest the middle of a reach. */
+function reachWeatherLocation(reach) {
+  const ends = [reach.from, reach.to].map(id => STATIONS.find(s => s.id === id));
+  const lat  = (ends[0].lat + ends[1].lat) / 2;
+  const lng  = (ends[0].lng + ends[1].lng) / 2;
+  return WEATHER_LOCATIONS.reduce((best, loc) =>
+    Math.hypot(loc.lat - lat, loc.lng - lng) < Math.hypot(best.lat - lat, best.lng - lng) ? loc : best);
+}
+
+function rateFlow(reach, q) {
+  const { low, ideal, high } = reach.flow;
+  const band = `${fmtFlow(ideal[0])}\u2013${fmtFlow(ideal[1])} ${unitLabel('flow')}`;
+  const now  = `${fmtFlow(q)} ${unitLabel('flow')}`;
+  if (q < low)       return { rating: 'poor', text: `Too low to float \u2014 ${now}` };
+  if (q < ideal[0])  return { rating: 'fair', text: `Low, bony floating \u2014 ${now} (ideal ${band})` };
+  if (q <= ideal[1]) return { rating: 'good', text: `Flow ${now} \u2014 in the ideal ${band}` };
+  if (q <= high)     return { rating: 'fair', text: `High and pushy \u2014 ${now}, wading limited` };
+  return { rating: 'poor', text: `Blown out \u2014 ${now}` };
+}
+
+function rateTrend(trend) {
+  const rate = fmtRate('flow', trend.rates[6] ?? trend.rates[24] ?? trend.rates[1]);
+  if (trend.direction === 'rising') {
+    return trend.rapid
+      ? { rating: 'poor', text: `Rising fast (${rate}) \u2014 expect dirty water` }
+      : { rating: 'fair', text: `Rising (${rate})` };
+  }
+  if (trend.direction === 'falling') {
+    return trend.rapid
+      ? { rating: 'fair', text: `Dropping fast (${rate}) \u2014 fish may go off the bite` }
+      : { rating: 'good', text: `Dropping slowly (${rate})` };
+  }
+  return { rating: 'good', text: 'Steady flows' };
+}
+
+function rateWaterTemp(t) {
+  const now = fmtTemp(t);
+  if (t >= HOOT_OWL_F) return { rating: 'poor', text: `Hoot-owl: water ${now} \u2014 fish early, off the water by 2 pm` };
+  if (t >= WARM_F)     return { rating: 'fair', text: `Warm water ${now} \u2014 land and release fish quickly` };
+  if (t < COLD_F)      return { rating: 'fair', text: `Cold water ${now} \u2014 slow fishing` };
+  return { rating: 'good', text: `Water ${now}` };
+}
+
+function rateWeather(wx) {
+  const daily = wx?.daily;
+  if (!daily?.time?.length) return null;
+  const code  = daily.weather_code?.[0];
+  const high  = daily.temperature_2m_max?.[0];
+  const rain  = daily.precipitation_sum?.[0] ?? 0;
+  const wind  = wx.current?.wind_speed_10m;
+  const deg   = v => `${Math.round(toUnit('temp', v))}${unitLabel('temp')}`;
+  const depth = state.units === 'metric' ? `${toUnit('depth', rain).toFixed(0)} mm` : `${rain.toFixed(2)}"`;
+
+  if (code >= 95)                         return { rating: 'poor', text: `${wmoToDesc(code)} today \u2014 get off the water at the first thunder` };
+  if (rain >= CONDITION_WEATHER.rainIn)   return { rating: 'fair', text: `Heavy rain today (${depth})` };
+  if (wind >= CONDITION_WEATHER.windMph)  return { rating: 'fair', text: `Windy \u2014 ${toUnit('speed', wind).toFixed(0)} ${unitLabel('speed')}` };
+  if (high >= CONDITION_WEATHER.hotF)     return { rating: 'fair', text: `Hot afternoon (high ${deg(high)}) \u2014 go early` };
+  if (high <= CONDITION_WEATHER.coldF)    return { rating: 'fair', text: `Cold day (high ${deg(high)}) \u2014 icy guides` };
+  return { rating: 'good', text: `${wmoToDesc(code)}, high ${deg(high)}` };
+}
+
+/**
+ * Rate one reach from state: { reach, rating, reasons: [{ rating, text }],
+ * gauge, asOf, weather }. rating is null when neither end has flow data.
+ * Reasons are worst first.
+ */
+function rateReach(reach) {
+  const ends    = [reach.from, reach.to].map(id => STATIONS.find(s => s.id === id));
+  const gauge   = [...ends].reverse().find(s => state.stationData[s.id]?.discharge?.length) ?? null;
+  const weather = reachWeatherLocation(reach);
+  const reasons = [];
+
+  for (const s of ends) {
+    const data  = state.stationData[s.id];
+    const flood = getFloodStatus(data?.thresholds, getLatestValue(data?.discharge), getLatestValue(data?.gageHeight));
+    if (flood?.category) reasons.push({ rating: 'poor', text: `${flood.category.label} flood stage at ${s.shortName}` });
+  }
+
+  const q = gauge ? getLatestValue(state.stationData[gauge.id].discharge) : null;
+  if (q) {
+    reasons.push(rateFlow(reach, q.value));
+    const trend = analyzeTrend(state.stationData[gauge.id].discharge, trendThresholds(gauge, 'discharge'));
+    if (trend) reasons.push(rateTrend(trend));
+  }
+
+  const temps = ends.map(s => getLatestValue(state.stationData[s.id]?.waterTemp)?.value).filter(v => v != null);
+  if (temps.length) reasons.push(rateWaterTemp(Math.max(...temps)));
+
+  const wx = rateWeather(state.weatherData[weather.name]);
+  if (wx) reasons.push(wx);
+
+  reasons.sort((a, b) => CONDITION_RATINGS[b.rating].rank - CONDITION_RATINGS[a.rating].rank);
+  const range   = getRange();
+  const unrated = !q ? 'No flow data'
+    : range.custom ? 'Not rated on a custom range'
+    : range.daily ? `Not rated on daily means \u2014 choose ${DAILY_THRESHOLD_DAYS} days or less`
+    : Date.now() - q.time.getTime() > CONDITION_MAX_AGE_MS ? `Not rated \u2014 last flow reading ${fmtAge(q.time)}`
+    : null;
+  return {
+    reach,
+    rating:  unrated ? null : reasons[0].rating,
+    unrated,
+    reasons,
+    gauge,
+    asOf:    q?.time ?? null,
+    weather,
+  };
+}
+
+function renderConditions() {
+  const grid = document.getElementById('conditions-grid');
+  if (!grid) return;
+  const rated = CONDITION_REACHES.map(rateReach);
+
+  grid.innerHTML = rated.map(({ reach, rating, unrated, reasons, gauge, asOf, weather }) => {
+    const r = CONDITION_RATINGS[rating];
+    if (!r) {
+      return `<div class="condition-card"><div class="cond-header"><span class="cond-name">${reach.name}</span></div>
+        <div class="no-data-overlay">${unrated}</div></div>`;
+    }
+    return `
+      <div class="condition-card ${rating} card-in" style="--rating-color:${r.color}">
+        <div class="cond-header">
+          <span class="cond-name">${reach.name}</span>
+          <span class="cond-rating">${r.label}</span>
+        </div>
+        <ul class="cond-reasons">
+          ${reasons.map(x => `<li class="${x.rating}">${x.text}</li>`).join('')}
+        </ul>
+        <div class="cond-footer">Flow at ${gauge.shortName}, ${fmtAge(asOf)} \u00b7 weather ${weather.name}</div>
+      </div>`;
+  }).join('');
+
+  for (const { reach, rating, unrated, reasons } of rated) {
+    const line = state.reachLines[reach.id];
+    if (!line) continue;
+    line.setStyle({ color: CONDITION_RATINGS[rating]?.color ?? '#565f89', opacity: rating ? 0.85 : 0.4 });
+    line.setTooltipContent(rating
+      ? `${reach.name}: ${CONDITION_RATINGS[rating].label} \u2014 ${reasons[0].text}`
+      : `${reach.name}: ${unrated.charAt(0).toLowerCase()}${unrated.slice(1)}`);
+  }
+}
+
+// =====================================================================
+// RESERVOIRS — Yakima Project storage (USBR Hydromet daily archive)
+// One daily.pl request covers all five reservoirs:
+//   af = storage (acre-feet), fb = forebay elevation (ft),
+//   qu = inflow (cfs), qd = outflow (cfs)
+// It reaches back a year plus RESERVOIR_TREND_DAYS so the trend chart can
+// overlay the same weeks last year.
+// =====================================================================
+
+const RESERVOIR_PARAMS     = ['af', 'fb', 'qu', 'qd'];
+const RESERVOIR_TREND_DAYS = 60;
+
+async function fetchReservoirs() {
+  const end   = new Date();
+  const start = new Date(end.getTime() - (365 + RESERVOIR_TREND_DAYS) * 86400000);
+  const list  = RESERVOIRS
+    .flatMap(r => RESERVOIR_PARAMS.map(p => `${r.usbrId.toLowerCase()}%20${p}`))
+    .join(',');
+  const qs = `list=${list}&start=${fmtISODate(start)}&end=${fmtISODate(end)}&format=csv`;
+
+  const ctrl  = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), 20000);
+  try {
+    const res = await apiFetch(usbrDailyUrl(qs), { signal: ctrl.signal });
+    clearTimeout(timer);
+    if (!res.ok) throw new Error(`USBR reservoirs: HTTP ${res.status}`);
+    const cols = parseUSBRColumns(await res.text());
+    return Object.fromEntries(RESERVOIRS.map(r => {
+      const col = p => cols[`${r.usbrId.toLowerCase()}_${p}`] ?? [];
+      return [r.id, { storage: col('af'), elevation: col('fb'), inflow: col('qu'), outflow: col('qd') }];
+    }));
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Latest storage, percent full and the same date last year. */
+function summarizeReservoir(res, data) {
+  const latest = getLatestValue(data?.storage);
+  if (!latest) return null;
+  const lastYear = valueNear(data.storage, latest.time.getTime() - 365 * 86400000, 1.5 * 86400000);
+  return {
+    time:      latest.time,
+    storage:   latest.value,
+    pct:       latest.value / res.capacity * 100,
+    lastYear:  lastYear?.value ?? null,
+    elevation: getLatestValue(data.elevation)?.value ?? null,
+    inflow:    getLatestValue(data.inflow)?.value ?? null,
+    outflow:   getLatestValue(data.outflow)?.value ?? null,
+  };
+}
+
+/** Format a volume already in display units (no unit suffix). */
+function fmtVolumeNum(v) {
+  if (v === null || v === undefined || isNaN(v)) return '\u2014';
+  if (state.units === 'metric') return v.toFixed(v >= 100 ? 0 : 1);
+  return v >= 10000 ? `${(v / 1000).toFixed(v >= 100000 ? 0 : 1)}k` : Math.round(v).toLocaleString('en-US');
+}
+
+/** Acre-feet → display string (no unit suffix; pair with unitLabel('volume')). */
+function fmtVolume(af) {
+  return fmtVolumeNum(toUnit('volume', af));
+}
+
+/** Teacup: a tapered cup filled to pct (0–100). */
+function teacupSVG(id, pct, color) {
+  const level = 4 + 42 * (1 - Math.min(Math.max(pct, 0), 100) / 100);
+  return `
+    <svg class="teacup" viewBox="0 0 60 50" aria-hidden="true">
+      <defs><clipPath id="cup-${id}"><polygon points="4,4 56,4 44,46 16,46"/></clipPath></defs>
+      <rect x="0" y="${level.toFixed(1)}" width="60" height="50" fill="${color}" fill-opacity="0.75" clip-path="url(#cup-${id})"/>
+      <polygon points="4,4 56,4 44,46 16,46" fill="none" stroke="${color}" stroke-width="1.5"/>
+    </svg>`;
+}
+
+function fmtVsLastYear(now, lastYear) {
+  if (lastYear == null) return '<span class="res-vs">No data for last year</span>';
+  const diff = now - lastYear;
+  const cls  = diff >= 0 ? 'up' : 'down';
+  return `<span class="res-vs ${cls}">${diff >= 0 ? '+' : '\u2212'}${fmtVolume(Math.abs(diff))} ${unitLabel('volume')} vs last year (${Math.round(now / lastYear * 100)}%)</span>`;
+}
+
+function renderReservoirs() {
+  const grid = document.getElementById('reservoir-grid');
+  const summaries = RESERVOIRS.map(r => ({ res: r, sum: summarizeReservoir(r, state.reservoirData[r.id]) }));
+  const loaded    = summaries.filter(x => x.sum);
+  if (loaded.length === 0) {
+    grid.innerHTML = '<div class="reservoir-card"><div class="no-data-overlay">Reservoir data unavailable</div></div>';
+    return;
   }
 
-  const hasForecast = fcastCount > 0;
-  const fcastColor  = station.color + '99'; // 60% opacity
+  // System total only over reservoirs that reported, so a missing one doesn't read as empty
+  const capacity = loaded.reduce((a, x) => a + x.res.capacity, 0);
+  const storage  = loaded.reduce((a, x) => a + x.sum.storage, 0);
+  const lastYear = loaded.every(x => x.sum.lastYear != null)
+    ? loaded.reduce((a, x) => a + x.sum.lastYear, 0)
+    : null;
+  const totalPct = storage / capacity * 100;
+
+  const totalHtml = `
+    <div class="reservoir-card total card-in">
+      <div class="res-header">
+        <span class="res-name">Total System Storage</span>
+        <span class="res-date">${loaded.length}/${RESERVOIRS.length} reservoirs</span>
+      </div>
+      <div class="res-body">
+        ${teacupSVG('total', totalPct, '#7aa2f7')}
+        <div class="res-metrics">
+          <span class="res-pct">${totalPct.toFixed(0)}%</span>
+          <span class="res-storage">${fmtVolume(storage)} / ${fmtVolume(capacity)} ${unitLabel('volume')}</span>
+          ${fmtVsLastYear(storage, lastYear)}
+        </div>
+      </div>
+    </div>`;
+
+  const cardsHtml = summaries.map(({ res, sum }) => {
+    if (!sum) {
+      return `<div class="reservoir-card"><div class="res-header"><span class="res-name">${res.name}</span></div>
+        <div class="no-data-overlay">No data</div></div>`;
+    }
+    return `
+      <div class="reservoir-card card-in">
+        <div class="res-header">
+          <span class="res-name">${res.name}</span>
+          <span class="res-date">${fmtDateLabel(sum.time)}</span>
+        </div>
+        <div class="res-body">
+          ${teacupSVG(res.id, sum.pct, res.color)}
+          <div class="res-metrics">
+            <span class="res-pct" style="color:${res.color}">${sum.pct.toFixed(0)}%</span>
+            <span class="res-storage">${fmtVolume(sum.storage)} / ${fmtVolume(res.capacity)} ${unitLabel('volume')}</span>
+            ${fmtVsLastYear(sum.storage, sum.lastYear)}
+          </div>
+        </div>
+        <div class="res-details">
+          <span>Elev <b>${fmtStage(sum.elevation, 1)}</b></span>
+          <span>In <b>${fmtFlow(sum.inflow)}</b></span>
+          <span>Out <b>${fmtFlow(sum.outflow)}</b></span>
+        </div>
+        <div class="res-chart-wrap"><canvas id="reschart-${res.id}"></canvas></div>
+      </div>`;
+  }).join('');
 
-  const datasets = [{
-    label:            'Discharge (cfs)',
-    data:             qObsData,
-    borderColor:      station.color,
-    backgroundColor:  makeGradientPlugin(station.color),
-    borderWidth:      2,
-    pointRadius:      0,
-    pointHoverRadius: 4,
-    pointHoverBackgroundColor: station.color,
-    tension:          0.35,
-    fill:             true,
-    yAxisID:          'y',
-  }];
+  grid.innerHTML = totalHtml + cardsHtml;
 
-  if (hasForecast) {
-    datasets.push({
-      label:            'Forecast (cfs)',
-      data:             qFcastData,
-      borderColor:      fcastColor,
-      backgroundColor:  'transparent',
-      borderWidth:      1.5,
-      borderDash:       [6, 4],
-      pointRadius:      0,
-      pointHoverRadius: 4,
-      pointHoverBackgroundColor: fcastColor,
-      tension:          0.35,
-      fill:             false,
-      spanGaps:         false,
-      yAxisID:          'y',
-    });
-  }
+  requestAnimationFrame(() => {
+    for (const { res, sum } of summaries) {
+      const canvas = document.getElementById(`reschart-${res.id}`);
+      if (canvas && sum) createReservoirChart(canvas, res, state.reservoirData[res.id]);
+    }
+  });
+}
 
-  if (tData) {
-    datasets.push({
-      label:       'Water Temp (\u00b0F)',
-      data:        tData,
-      borderColor: '#ff9e64',
-      borderDash:  [5, 3],
-      borderWidth: 1.5,
-      pointRadius: 0,
-      tension:     0.35,
-      fill:        false,
-      yAxisID:     'y1',
-      spanGaps:    true,
-    });
-  }
+/** Storage over the last RESERVOIR_TREND_DAYS vs the same days a year earlier. */
+function createReservoirChart(canvasEl, res, data) {
+  const key = 'res_' + res.id;
+  const existing = state.charts[key];
+  if (existing) { try { existing.destroy(); } catch (_) {} }
 
-  // Build options directly (no JSON clone — preserves callback functions)
-  const scalesY1 = tData ? {
-    y1: {
-      position: 'right',
-      grid:     { drawOnChartArea: false },
-      ticks:    { color: 'rgba(255,158,100,0.55)', font: { size: 10 }, maxTicksLimit: 3,
-                  callback: v => v.toFixed(0) + '\u00b0' },
-      border:   { color: 'transparent' },
-    },
-  } : {};
+  const latest = getLatestValue(data.storage);
+  const days   = [];
+  for (let i = RESERVOIR_TREND_DAYS - 1; i >= 0; i--) {
+    days.push(new Date(latest.time.getFullYear(), latest.time.getMonth(), latest.time.getDate() - i));
+  }
+  const at = t => toUnit('volume', valueNear(data.storage, t, 12 * 3600000)?.value ?? null);
 
   const chart = new Chart(canvasEl.getContext('2d'), {
     type: 'line',
-    data: { labels, datasets },
+    data: {
+      labels: days.map(d => fmtDateLabel(d)),
+      datasets: [
+        {
+          label:       'This year',
+          data:        days.map(d => at(d.getTime())),
+          borderColor: res.color,
+          borderWidth: 1.5,
+          pointRadius: 0,
+          tension:     0.3,
+          spanGaps:    true,
+        },
+        {
+          label:       'Last year',
+          data:        days.map(d => at(d.getTime() - 365 * 86400000)),
+          borderColor: 'rgba(169,177,214,0.45)',
+          borderWidth: 1,
+          borderDash:  [4, 3],
+          pointRadius: 0,
+          tension:     0.3,
+          spanGaps:    true,
+        },
+      ],
+    },
     options: {
       responsive:          true,
       maintainAspectRatio: false,
@@ -674,88 +3785,242 @@ function createHydrograph(canvasEl, stationData, station) {
           borderWidth:     1,
           titleColor:      '#c0caf5',
           bodyColor:       '#a9b1d6',
-          padding:         10,
+          padding:         8,
           cornerRadius:    6,
-          filter:          item => item.parsed.y != null,
-          callbacks: {
-            label: ctx => {
-              if (ctx.dataset.label.includes('Forecast'))  return ` Fcst: ${fmtCfs(ctx.parsed.y)} cfs`;
-              if (ctx.dataset.label.includes('Discharge')) return ` ${fmtCfs(ctx.parsed.y)} cfs`;
-              return ` ${ctx.parsed.y != null ? ctx.parsed.y.toFixed(1) : '\u2014'}\u00b0F`;
-            },
-          },
+          callbacks: { label: ctx => ` ${ctx.dataset.label}: ${fmtVolumeNum(ctx.parsed.y)} ${unitLabel('volume')}` },
         },
       },
       scales: {
-        x: {
-          grid:   { color: 'rgba(41,53,90,0.35)', drawTicks: false },
-          ticks:  { color: '#565f89', maxTicksLimit: 7, maxRotation: 0, font: { size: 10 } },
-          border: { color: '#29355a' },
-        },
+        x: { display: false },
         y: {
-          position: 'left',
-          grid:     { color: 'rgba(41,53,90,0.35)' },
-          ticks:    { color: '#565f89', font: { size: 10 }, maxTicksLimit: 4 },
-          border:   { color: '#29355a' },
+          grid:   { color: 'rgba(41,53,90,0.3)' },
+          ticks:  { color: '#565f89', font: { size: 9 }, maxTicksLimit: 3, callback: v => fmtVolumeNum(v) },
+          border: { color: '#29355a' },
         },
-        ...scalesY1,
       },
     },
   });
-  state.charts[station.id] = chart;
+  state.charts[key] = chart;
   return chart;
 }
 
-function createWeatherChart(canvasEl, daily, locationKey) {
-  const key = 'wx_' + locationKey;
-  const existing = state.charts[key];
+// =====================================================================
+// SNOWPACK — NRCS AWDB REST API (SNOTEL daily SWE + median)
+// One request covers every site for the water year to date; with
+// centralTendencyType=MEDIAN each daily value carries the 1991–2020
+// median for that day. Proxied via /api/awdb.
+// Cached in localStorage for SNOTEL_TTL_MS — SNOTEL reports once a day.
+// =====================================================================
+
+const SNOTEL_TTL_MS = 3 * 3600000;
+
+// Early/late season medians are near zero and make % of median meaningless
+const SNOTEL_MIN_MEDIAN_IN = 1;
+
+const SWE_CLASSES = [
+  { max: 70,       label: 'Well below', cls: 'much-below' },
+  { max: 90,       label: 'Below',      cls: 'below' },
+  { max: 110,      label: 'Near',       cls: 'normal' },
+  { max: 130,      label: 'Above',      cls: 'above' },
+  { max: Infinity, label: 'Well above', cls: 'much-above' },
+];
+
+const SWE_CLASS_COLORS = {
+  'much-below': '#f7768e',
+  'below':      '#ff9e64',
+  'normal':     '#9ece6a',
+  'above':      '#7dcfff',
+  'much-above': '#7aa2f7',
+};
+
+function awdbUrl(qs) {
+  if (useProxy()) {
+    return `/api/awdb?${qs}`;
+  }
+  return `https://wcc.sc.egov.usda.gov/awdbRestApi/services/v1/data?${qs}`;
+}
+
+async function fetchSnotel() {
+  try {
+    const cached = REPLAY.mode === 'mock' ? null : JSON.parse(localStorage.getItem('yakima.snotel') ?? 'null');
+    if (cached && Date.now() - cached.fetchedAt < SNOTEL_TTL_MS) return parseAWDB(cached.payload);
+  } catch (_) {}
+
+  const qs = [
+    `stationTriplets=${SNOTEL_SITES.map(s => s.triplet).join(',')}`,
+    'elements=WTEQ',
+    'duration=DAILY',
+    `beginDate=${fmtISODate(waterYearStart())}`,
+    `endDate=${fmtISODate(new Date())}`,
+    'centralTendencyType=MEDIAN',
+  ].join('&');
+
+  const ctrl  = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), 20000);
+  try {
+    const res = await apiFetch(awdbUrl(qs), { signal: ctrl.signal });
+    clearTimeout(timer);
+    if (!res.ok) throw new Error(`AWDB: HTTP ${res.status}`);
+    const payload = await res.json();
+    try {
+      if (REPLAY.mode !== 'mock') localStorage.setItem('yakima.snotel', JSON.stringify({ fetchedAt: Date.now(), payload }));
+    } catch (_) {}
+    return parseAWDB(payload);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** AWDB /data JSON → { triplet: [{time, value, median}] } */
+function parseAWDB(payload) {
+  const out = {};
+  for (const station of payload ?? []) {
+    const wteq = (station.data ?? []).find(d => d.stationElement?.elementCode === 'WTEQ');
+    if (!wteq) continue;
+    out[station.stationTriplet] = (wteq.values ?? [])
+      .map(v => ({
+        time:   new Date(`${v.date.slice(0, 10)} 00:00`),
+        value:  typeof v.value === 'number' ? v.value : null,
+        median: typeof v.median === 'number' ? v.median : null,
+      }))
+      .filter(v => !isNaN(v.time.getTime()));
+  }
+  return out;
+}
+
+function classifySWE(pct) {
+  if (pct === null) return null;
+  return SWE_CLASSES.find(c => pct < c.max);
+}
+
+/** Latest SWE with its median and percent of median for one site. */
+function summarizeSnotel(values) {
+  const latest = [...(values ?? [])].reverse().find(v => v.value !== null);
+  if (!latest) return null;
+  const pct = latest.median !== null && latest.median >= SNOTEL_MIN_MEDIAN_IN
+    ? latest.value / latest.median * 100
+    : null;
+  return { ...latest, pct, class: classifySWE(pct) };
+}
+
+/**
+ * Basin index: total SWE over total median across sites reporting both on
+ * the latest common day — the same ratio NRCS uses for its basin tables.
+ */
+function basinSnowIndex(data) {
+  const sums = summarizeBasinCurve(data);
+  const most = Math.max(0, ...sums.map(d => d.sites));
+  const last = [...sums].reverse().find(d => d.sites === most && most > 0);
+  if (!last || last.median < SNOTEL_MIN_MEDIAN_IN * last.sites) return null;
+  return { time: last.time, pct: last.value / last.median * 100, sites: last.sites };
+}
+
+/** Per-day basin average SWE and median over sites reporting both. */
+function summarizeBasinCurve(data) {
+  const byDay = new Map();
+  for (const values of Object.values(data)) {
+    for (const v of values) {
+      if (v.value === null || v.median === null) continue;
+      const k   = v.time.getTime();
+      const day = byDay.get(k) ?? { time: v.time, value: 0, median: 0, sites: 0 };
+      day.value  += v.value;
+      day.median += v.median;
+      day.sites  += 1;
+      byDay.set(k, day);
+    }
+  }
+  return [...byDay.values()].sort((a, b) => a.time - b.time);
+}
+
+/** Format a depth already in display units. */
+function fmtSWENum(v) {
+  if (v === null || v === undefined || isNaN(v)) return '\u2014';
+  return state.units === 'metric' ? `${Math.round(v)} mm` : `${v.toFixed(1)}\u2033`;
+}
+
+/** SWE inches → display string. */
+function fmtSWE(inches) {
+  return fmtSWENum(toUnit('depth', inches));
+}
+
+function renderSnowpack() {
+  const el = document.getElementById('snowpack-body');
+  const data = state.snotelData;
+  if (Object.keys(data).length === 0) {
+    el.innerHTML = '<div class="no-data-overlay">SNOTEL data unavailable</div>';
+    return;
+  }
+
+  const index = basinSnowIndex(data);
+  const indexCls = index ? classifySWE(index.pct) : null;
+  const rows = SNOTEL_SITES.map(site => {
+    const sum = summarizeSnotel(data[site.triplet]);
+    const color = sum?.class ? SWE_CLASS_COLORS[sum.class.cls] : '#565f89';
+    return `
+      <button type="button" class="snow-row${state.snotelFocus === site.triplet ? ' active' : ''}" data-site="${site.triplet}">
+        <span class="snow-dot" style="background:${color}"></span>
+        <span class="snow-name">${site.name}<small>${Math.round(toUnit('length', site.elev)).toLocaleString('en-US')} ${unitLabel('length')} \u00b7 ${site.basin}</small></span>
+        <span class="snow-swe">${fmtSWE(sum?.value)}</span>
+        <span class="snow-pct" style="color:${color}">${sum?.pct != null ? Math.round(sum.pct) + '%' : '\u2014'}</span>
+      </button>`;
+  }).join('');
+
+  el.innerHTML = `
+    <div class="snow-summary">
+      <button type="button" class="snow-index${state.snotelFocus === 'basin' ? ' active' : ''}" data-site="basin">
+        <span class="snow-index-label">Basin Snow Index</span>
+        <span class="snow-index-value" style="color:${indexCls ? SWE_CLASS_COLORS[indexCls.cls] : 'var(--muted)'}">
+          ${index ? Math.round(index.pct) + '%' : '\u2014'}
+        </span>
+        <span class="snow-index-sub">${index
+          ? `${indexCls.label} median \u00b7 ${index.sites} sites \u00b7 ${fmtDateLabel(index.time)}`
+          : 'Outside snow season'}</span>
+      </button>
+      <div class="snow-rows">${rows}</div>
+    </div>
+    <div class="snow-chart-wrap"><canvas id="snow-chart"></canvas></div>`;
+
+  requestAnimationFrame(() => createSnowChart(document.getElementById('snow-chart')));
+}
+
+/** Season-to-date SWE against the median curve, for one site or the basin average. */
+function createSnowChart(canvasEl) {
+  const existing = state.charts.snow;
   if (existing) { try { existing.destroy(); } catch (_) {} }
-  if (!daily) return null;
+  if (!canvasEl) return null;
 
-  const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-  const labels = daily.time.map(t => {
-    const d = new Date(t + 'T12:00:00');
-    return `${months[d.getMonth()]} ${d.getDate()}`;
-  });
+  const focus = state.snotelFocus;
+  const site  = SNOTEL_SITES.find(s => s.triplet === focus);
+  const points = (site
+    ? (state.snotelData[focus] ?? [])
+    : summarizeBasinCurve(state.snotelData).map(d => ({
+        time: d.time, value: d.value / d.sites, median: d.median / d.sites,
+      })))
+    .map(p => ({ ...p, value: toUnit('depth', p.value), median: toUnit('depth', p.median) }));
 
   const chart = new Chart(canvasEl.getContext('2d'), {
-    type: 'bar',
+    type: 'line',
     data: {
-      labels,
+      labels: points.map(p => fmtDateLabel(p.time)),
       datasets: [
         {
-          label:           'High \u00b0F',
-          data:            daily.temperature_2m_max,
-          backgroundColor: 'rgba(224,175,104,0.65)',
-          borderColor:     '#e0af68',
-          borderWidth:     1,
-          borderRadius:    3,
-          yAxisID:         'y',
-          order:           2,
-        },
-        {
-          label:           'Low \u00b0F',
-          data:            daily.temperature_2m_min,
-          backgroundColor: 'rgba(122,162,247,0.45)',
-          borderColor:     '#7aa2f7',
-          borderWidth:     1,
-          borderRadius:    3,
-          yAxisID:         'y',
-          order:           3,
+          label:           site ? site.name : 'Basin average',
+          data:            points.map(p => p.value),
+          borderColor:     '#c0caf5',
+          backgroundColor: 'rgba(192,202,245,0.12)',
+          borderWidth:     2,
+          pointRadius:     0,
+          tension:         0.2,
+          fill:            true,
         },
         {
-          type:            'line',
-          label:           'Precip %',
-          data:            daily.precipitation_probability_max,
-          borderColor:     'rgba(125,207,255,0.7)',
-          backgroundColor: 'rgba(125,207,255,0.08)',
-          borderWidth:     1.5,
-          pointRadius:     2.5,
-          pointBackgroundColor: 'rgba(125,207,255,0.9)',
-          tension:         0.3,
-          fill:            true,
-          yAxisID:         'y1',
-          order:           1,
+          label:       'Median',
+          data:        points.map(p => p.median),
+          borderColor: 'rgba(122,162,247,0.7)',
+          borderWidth: 1.5,
+          borderDash:  [5, 4],
+          pointRadius: 0,
+          tension:     0.2,
         },
       ],
     },
@@ -765,7 +4030,10 @@ function createWeatherChart(canvasEl, daily, locationKey) {
       animation:           { duration: 350 },
       interaction:         { intersect: false, mode: 'index' },
       plugins: {
-        legend: { display: false },
+        legend: {
+          display: true,
+          labels:  { color: '#a9b1d6', font: { size: 10 }, boxWidth: 12 },
+        },
         tooltip: {
           backgroundColor: '#24283b',
           borderColor:     '#414868',
@@ -774,261 +4042,814 @@ function createWeatherChart(canvasEl, daily, locationKey) {
           bodyColor:       '#a9b1d6',
           padding:         10,
           cornerRadius:    6,
+          callbacks: { label: ctx => ` ${ctx.dataset.label}: ${fmtSWENum(ctx.parsed.y)} SWE` },
         },
       },
       scales: {
         x: {
           grid:   { color: 'rgba(41,53,90,0.3)', drawTicks: false },
-          ticks:  { color: '#565f89', font: { size: 9 }, maxRotation: 0 },
+          ticks:  { color: '#565f89', font: { size: 9 }, maxRotation: 0, maxTicksLimit: 8 },
           border: { color: '#29355a' },
         },
         y: {
-          grid:     { color: 'rgba(41,53,90,0.3)' },
-          ticks:    { color: '#565f89', font: { size: 9 }, maxTicksLimit: 4,
-                      callback: v => v + '\u00b0' },
-          border:   { color: '#29355a' },
-        },
-        y1: {
-          position: 'right',
-          min: 0, max: 100,
-          grid:     { drawOnChartArea: false },
-          ticks:    { color: 'rgba(125,207,255,0.4)', font: { size: 9 }, maxTicksLimit: 3,
-                      callback: v => v + '%' },
-          border:   { color: 'transparent' },
+          beginAtZero: true,
+          grid:   { color: 'rgba(41,53,90,0.3)' },
+          ticks:  { color: '#565f89', font: { size: 9 }, callback: v => fmtSWENum(v) },
+          border: { color: '#29355a' },
         },
       },
     },
   });
+  state.charts.snow = chart;
+  return chart;
+}
+
+function updateSnotelMarkers() {
+  for (const site of SNOTEL_SITES) {
+    const marker = state.snotelMarkers[site.triplet];
+    const sum    = summarizeSnotel(state.snotelData[site.triplet]);
+    if (!marker || !sum) continue;
+    if (sum.class) marker.setStyle({ fillColor: SWE_CLASS_COLORS[sum.class.cls] });
+    const pct = sum.pct != null ? ` \u00b7 ${Math.round(sum.pct)}% of median` : '';
+    marker.setTooltipContent(`${site.name} SNOTEL: ${fmtSWE(sum.value)} SWE${pct}`);
+  }
+}
+
+function initSnowpack() {
+  document.getElementById('snowpack-body').addEventListener('click', e => {
+    const btn = e.target.closest('[data-site]');
+    if (!btn) return;
+    state.snotelFocus = btn.dataset.site;
+    renderSnowpack();
+  });
+}
+
+// =====================================================================
+// EXPORT — CSV / JSON downloads and hydrograph PNG
+// Per-station menus live in each card header; the basin menu sits in the
+// Stream Conditions header. Clicks are delegated (cards re-render often).
+// =====================================================================
+
+const EXPORT_SERIES = [
+  { key: 'discharge',  label: 'Discharge',  unit: 'cfs' },
+  { key: 'waterTemp',  label: 'Water temp', unit: 'degF' },
+  { key: 'gageHeight', label: 'Stage',      unit: 'ft' },
+  { key: 'forecast',   label: 'Forecast',   unit: 'cfs' },
+];
+
+function makeExportMenuHTML(station, data) {
+  const items = EXPORT_SERIES
+    .filter(s => data?.[s.key]?.length)
+    .map(s => `
+      <div class="export-row">
+        <span>${s.label}</span>
+        <button data-export="${station.id}:${s.key}:csv">CSV</button>
+        <button data-export="${station.id}:${s.key}:json">JSON</button>
+      </div>`).join('');
+  return `
+    <details class="export-menu">
+      <summary title="Download data" aria-label="Download data">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/>
+        </svg>
+      </summary>
+      <div class="export-list">
+        ${items}
+        <div class="export-row">
+          <span>Hydrograph</span>
+          <button data-export="${station.id}:chart:png">PNG</button>
+        </div>
+      </div>
+    </details>`;
+}
+
+function downloadFile(filename, content, mime) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mime });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function toCSV(headers, rows) {
+  const esc = v => {
+    if (v === null || v === undefined) return '';
+    const str = String(v);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [headers, ...rows].map(r => r.map(esc).join(',')).join('\n') + '\n';
+}
+
+/** Filename-safe local timestamp, e.g. 20261018-0730 */
+function exportStamp(date = new Date()) {
+  const p = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${p(date.getMonth() + 1)}${p(date.getDate())}-${p(date.getHours())}${p(date.getMinutes())}`;
+}
+
+function exportStationSeries(station, key, format) {
+  const data   = state.stationData[station.id];
+  const series = [...(data?.[key] ?? [])].sort((a, b) => a.time - b.time);
+  const meta   = EXPORT_SERIES.find(s => s.key === key);
+  if (!series.length || !meta) return;
+  const base = `${station.id}_${key}_${exportStamp()}`;
+
+  if (format === 'csv') {
+    downloadFile(`${base}.csv`,
+      toCSV(['time', `${key}_${meta.unit}`, 'qualifiers'],
+        series.map(v => [v.time.toISOString(), v.value, (v.qualifiers ?? []).join(' ')])),
+      'text/csv');
+  } else {
+    downloadFile(`${base}.json`, JSON.stringify({
+      station:    { id: station.id, name: station.name, usgsId: station.usgsId, usbrId: station.usbrId, nwsLid: station.nwsLid },
+      series:     key,
+      unit:       meta.unit,
+      source:     key === 'forecast' ? 'NWS' : SOURCE_ADAPTERS[data.sources?.[key]]?.label ?? null,
+      exportedAt: new Date().toISOString(),
+      data:       series.map(v => ({ time: v.time.toISOString(), value: v.value, qualifiers: v.qualifiers ?? [] })),
+      missing:    (data.missing ?? []).filter(m => m.param === key)
+        .map(m => ({ time: m.time.toISOString(), qualifiers: m.qualifiers })),
+    }, null, 2), 'application/json');
+  }
+}
+
+/** Hydrograph as PNG, flattened onto the card background (the canvas is transparent). */
+function exportHydrographPNG(station) {
+  const chart = state.charts[station.id];
+  if (!chart) return;
+  const src = chart.canvas;
+  const out = document.createElement('canvas');
+  out.width  = src.width;
+  out.height = src.height;
+  const ctx = out.getContext('2d');
+  ctx.fillStyle = '#24283b';
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.drawImage(src, 0, 0);
+  out.toBlob(blob => downloadFile(`${station.id}_hydrograph_${exportStamp()}.png`, blob), 'image/png');
+}
+
+/**
+ * Merge every station's observed series onto one timestamp index (the union
+ * of all reading times). Cells are blank where a station has no reading at
+ * that exact time — values are never interpolated.
+ */
+function buildBasinTable() {
+  const columns = [];
+  for (const station of STATIONS) {
+    const data = state.stationData[station.id];
+    for (const meta of EXPORT_SERIES.filter(s => s.key !== 'forecast')) {
+      if (!data?.[meta.key]?.length) continue;
+      columns.push({
+        name:  `${station.id}_${meta.key}_${meta.unit}`,
+        byTime: new Map(data[meta.key].map(v => [v.time.getTime(), v.value])),
+      });
+    }
+  }
+  const times = [...new Set(columns.flatMap(c => [...c.byTime.keys()]))].sort((a, b) => a - b);
+  return {
+    headers: ['time', ...columns.map(c => c.name)],
+    rows:    times.map(t => [new Date(t).toISOString(), ...columns.map(c => c.byTime.get(t) ?? null)]),
+  };
+}
+
+function exportBasin(format) {
+  const base = `yakima_basin_${exportStamp()}`;
+  if (format === 'csv') {
+    const { headers, rows } = buildBasinTable();
+    downloadFile(`${base}.csv`, toCSV(headers, rows), 'text/csv');
+  } else if (format === 'weather-csv') {
+    // Daily forecast per location, one row per location/day
+    const headers = ['location', 'date', 'high_degF', 'low_degF', 'precip_in', 'precip_prob_pct', 'weather_code'];
+    const rows = [];
+    for (const [name, wx] of Object.entries(state.weatherData)) {
+      const d = wx?.daily;
+      (d?.time ?? []).forEach((day, i) => rows.push([
+        name, day, d.temperature_2m_max[i], d.temperature_2m_min[i],
+        d.precipitation_sum[i], d.precipitation_probability_max[i], d.weather_code[i],
+      ]));
+    }
+    downloadFile(`yakima_weather_${exportStamp()}.csv`, toCSV(headers, rows), 'text/csv');
+  } else {
+    const stations = {};
+    for (const station of STATIONS) {
+      const data = state.stationData[station.id];
+      if (!data) continue;
+      stations[station.id] = { name: station.name, sources: data.sources };
+      for (const meta of EXPORT_SERIES) {
+        stations[station.id][meta.key] = (data[meta.key] ?? [])
+          .map(v => ({ time: v.time.toISOString(), value: v.value }));
+      }
+    }
+    downloadFile(`${base}.json`, JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      units:      Object.fromEntries(EXPORT_SERIES.map(s => [s.key, s.unit])),
+      stations,
+      weather:    state.weatherData,
+    }, null, 2), 'application/json');
+  }
+}
+
+function initExportMenus() {
+  document.getElementById('stations-grid').addEventListener('click', e => {
+    const btn = e.target.closest('[data-export]');
+    if (!btn) return;
+    const [stationId, key, format] = btn.dataset.export.split(':');
+    const station = STATIONS.find(s => s.id === stationId);
+    if (!station) return;
+    if (format === 'png') exportHydrographPNG(station);
+    else exportStationSeries(station, key, format);
+    btn.closest('details').open = false;
+  });
+
+  document.getElementById('basin-export').addEventListener('click', e => {
+    const btn = e.target.closest('[data-basin-export]');
+    if (!btn) return;
+    exportBasin(btn.dataset.basinExport);
+    btn.closest('details').open = false;
+  });
+}
+
+// =====================================================================
+// UI — ALERTS + STATUS
+// =====================================================================
+
+function renderAlerts(alerts) {
+  const pill  = document.getElementById('alert-pill');
+  const text  = document.getElementById('alert-text');
+  const panel = document.getElementById('alert-panel');
+  renderAlertPolygons(alerts ?? []).catch(err => console.warn('[alert polygons]', err.message));
+  if (!alerts || alerts.length === 0) {
+    pill.classList.add('hidden');
+    panel.classList.add('hidden');
+    return;
+  }
+  pill.classList.remove('hidden');
+  text.textContent = alerts.length > 1 ? `${alerts[0].event} +${alerts.length - 1}` : alerts[0].event;
+  pill.title = alerts.map(a => a.headline).join('\n');
+
+  const fmtWhen = d => (d ? fmtDateTime(d) : '\u2014');
+  document.getElementById('alert-list').innerHTML = alerts.map(a => `
+    <details class="alert-item" style="--alert-color:${ALERT_CATEGORY_COLORS[a.category]}">
+      <summary>
+        <span class="alert-severity sev-${a.severity.toLowerCase()}">${escapeHTML(a.severity)}</span>
+        <span class="alert-event">${escapeHTML(a.event)}</span>
+        <span class="alert-times">${fmtWhen(a.effective)} \u2192 ${fmtWhen(a.expires)}</span>
+      </summary>
+      <div class="alert-body">
+        <div class="alert-headline">${escapeHTML(a.headline)}</div>
+        <div class="alert-area">${escapeHTML(a.areaDesc)}</div>
+        <div class="alert-desc">${escapeHTML(a.description)}</div>
+        ${a.instruction ? `<div class="alert-instruction">${escapeHTML(a.instruction)}</div>` : ''}
+      </div>
+    </details>`).join('');
+}
+
+/**
+ * Alert areas on the Leaflet map, coloured by product group. Zone fetches
+ * can outlast the next refresh, so only the latest call gets to draw.
+ */
+async function renderAlertPolygons(alerts) {
+  if (!state.map) return;
+  if (!state.alertLayer) state.alertLayer = L.layerGroup().addTo(state.map);
+  const draw = ++state.alertDraws;
+
+  const layers = [];
+  for (const a of alerts) {
+    const geometries = a.geometry
+      ? [a.geometry]
+      : (await Promise.all(a.zoneUrls.map(fetchZoneGeometry))).filter(g => g && overlapsBasin(g));
+    const color = ALERT_CATEGORY_COLORS[a.category];
+    for (const geometry of geometries) {
+      try {
+        layers.push(L.geoJSON({ type: 'Feature', geometry }, {
+          style: { color, weight: 1.5, opacity: 0.8, fillColor: color, fillOpacity: 0.12 },
+        }).bindPopup(
+          `<div class="popup-station-name">${escapeHTML(a.event)}</div>
+           <div class="popup-metric-label">until ${a.expires ? fmtDateTime(a.expires) : '\u2014'}</div>`,
+          { className: 'yakima-popup' },
+        ));
+      } catch (err) {
+        console.warn(`[alert polygon] ${a.event}: ${err.message}`);   // malformed geometry — skip it
+      }
+    }
+  }
+  if (draw !== state.alertDraws) return;
+
+  // Swap in one go so a slow zone fetch never leaves the map half-drawn
+  state.alertLayer.clearLayers();
+  layers.forEach(l => {
+    state.alertLayer.addLayer(l);
+    l.bringToBack();
+  });
+}
+
+function initAlertPanel() {
+  const pill  = document.getElementById('alert-pill');
+  const panel = document.getElementById('alert-panel');
+  const toggle = () => panel.classList.toggle('hidden');
+  pill.addEventListener('click', toggle);
+  pill.addEventListener('keydown', e => {
+    if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); toggle(); }
+  });
+  document.getElementById('alert-panel-close').addEventListener('click', () => panel.classList.add('hidden'));
+}
 
-  state.charts[key] = chart;
-  return chart;
+function setStatus(level, label) {
+  const dot = document.getElementById('status-dot');
+  const lbl = document.getElementById('status-label');
+  dot.className = `status-dot ${level}`;
+  lbl.textContent = label;
+}
+
+/** Header status from the current station data (stale cached cards count as a warning). */
+function renderRefreshStatus() {
+  const data   = Object.values(state.stationData);
+  const loaded = data.filter(d => d.discharge.length > 0).length;
+  const stale  = data.filter(d => d.staleSince).length;
+  const total  = STATIONS.length;
+  setStatus(
+    loaded === 0 ? 'error' : loaded < total || stale ? 'warn' : 'ok',
+    loaded === 0
+      ? 'No data loaded'
+      : `${loaded}/${total} stations${stale ? ` (${stale} cached)` : ''} \u00b7 ${fmtAge(state.lastRefresh)}`,
+  );
 }
 
 // =====================================================================
-// UI — STATION CARDS
+// ALERT RULES — user-defined threshold / rate-of-change triggers
+// Rules, their armed state and the firing history live in localStorage.
+// Rules are checked after every refresh; a rule fires when its condition
+// becomes true (not on every refresh while it stays true). Snoozed rules
+// stay un-armed, so they fire again after the snooze if still true.
+// Rules only look at live instantaneous data: nothing is checked on custom
+// or daily-mean ranges, or for a station showing cached (stale) data, and
+// armed state is left as it was — so switching 7D ↔ 90D can't re-fire one.
+//   rule: { id, stationId, param, kind: 'above'|'below'|'change',
+//           value, hours, enabled, snoozedUntil }
 // =====================================================================
 
-function destroyAllCharts() {
-  for (const [key, chart] of Object.entries(state.charts)) {
-    try { chart.destroy(); } catch (_) {}
-    delete state.charts[key];
+const RULES_KEY         = 'yakima.alertRules';
+const RULE_STATE_KEY    = 'yakima.alertRuleState';   // { ruleId: true while condition holds }
+const ALERT_HISTORY_KEY = 'yakima.alertHistory';
+const ALERT_HISTORY_MAX = 100;
+
+// Thresholds are stored in canonical units and shown in the display units
+const RULE_PARAMS = {
+  discharge:  { label: 'Discharge',  kind: 'flow',   fmt: v => fmtFlowNum(v) },
+  waterTemp:  { label: 'Water temp', kind: 'temp',   fmt: v => v.toFixed(1) },
+  gageHeight: { label: 'Stage',      kind: 'length', fmt: v => v.toFixed(2) },
+};
+
+/** A rule value (or change) in display units with its unit, e.g. "18.3 °C". */
+function fmtRuleValue(param, v, isDelta = false) {
+  const meta = RULE_PARAMS[param];
+  const x    = isDelta ? toUnitDelta(meta.kind, v) : toUnit(meta.kind, v);
+  return `${meta.fmt(x)} ${unitLabel(meta.kind)}`;
+}
+
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function describeRule(rule) {
+  const station = STATIONS.find(s => s.id === rule.stationId);
+  const meta    = RULE_PARAMS[rule.param];
+  const cond    = rule.kind === 'change'
+    ? `changes by more than ${fmtRuleValue(rule.param, rule.value, true)} in ${rule.hours} h`
+    : `${rule.kind} ${fmtRuleValue(rule.param, rule.value)}`;
+  return `${station?.shortName ?? rule.stationId} ${meta.label.toLowerCase()} ${cond}`;
+}
+
+/**
+ * Check one rule against a station's series.
+ * Returns { triggered, value, message } — value is the latest reading, or
+ * the change over the window for 'change' rules.
+ */
+function evaluateRule(rule, data) {
+  const series = data?.[rule.param] ?? [];
+  const latest = getLatestValue(series);
+  if (!latest) return { triggered: false };
+
+  if (rule.kind === 'change') {
+    const cutoff = latest.time.getTime() - rule.hours * 3600000;
+    const past   = series
+      .filter(v => v.time.getTime() <= cutoff)
+      .reduce((best, v) => (!best || v.time > best.time ? v : best), null);
+    if (!past) return { triggered: false };
+    const delta = latest.value - past.value;
+    return {
+      triggered: Math.abs(delta) > rule.value,
+      value:     delta,
+      message:   `${delta > 0 ? '+' : '\u2212'}${fmtRuleValue(rule.param, Math.abs(delta), true)} in ${rule.hours} h (now ${fmtRuleValue(rule.param, latest.value)})`,
+    };
   }
+
+  const triggered = rule.kind === 'above' ? latest.value > rule.value : latest.value < rule.value;
+  return { triggered, value: latest.value, message: `now ${fmtRuleValue(rule.param, latest.value)}` };
 }
 
-function renderStationSkeletons() {
-  const grid = document.getElementById('stations-grid');
-  grid.innerHTML = STATIONS.map(s => `
-    <div class="station-card" id="card-${s.id}">
-      <div class="station-accent" style="background:linear-gradient(90deg,${s.color},${s.color}88)"></div>
-      <div class="station-header">
-        <div class="station-name">${s.name}</div>
-      </div>
-      <div class="station-metrics" style="padding-top:8px;padding-bottom:10px">
-        <div class="skel skel-num" style="position:relative;overflow:hidden;width:110px;height:1.9rem;display:inline-block"></div>
-      </div>
-      <div class="station-chart-wrap">
-        <div class="skel skel-chart" style="position:relative;overflow:hidden;height:110px;border-radius:6px"></div>
-      </div>
-    </div>
-  `).join('');
+function notify(title, body, tag) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  try {
+    new Notification(title, { body, tag });
+  } catch (err) {
+    console.info('[notify]', err.message);
+  }
 }
 
-function renderStationCard(station, data) {
-  const card = document.getElementById(`card-${station.id}`);
-  if (!card) return;
+/** Run every enabled rule against state.stationData; record and notify new firings. */
+function checkAlertRules() {
+  const range = getRange();
+  if (range.custom || range.daily) return;
 
-  const discharge  = data?.discharge  ?? [];
-  const waterTemp  = data?.waterTemp  ?? [];
-  const gageHeight = data?.gageHeight ?? [];
-  const source     = data?.source ?? null;
+  const rules   = loadJSON(RULES_KEY, []);
+  const armed   = loadJSON(RULE_STATE_KEY, {});
+  const history = loadJSON(ALERT_HISTORY_KEY, []);
+  const now     = Date.now();
 
-  const latestQ = getLatestValue(discharge);
-  const latestT = getLatestValue(waterTemp);
-  const latestH = getLatestValue(gageHeight);
-  const trend   = getTrend(discharge);
+  for (const rule of rules) {
+    if (!rule.enabled) { delete armed[rule.id]; continue; }
+    const data = state.stationData[rule.stationId];
+    if (data?.staleSince) continue;
+    const result = evaluateRule(rule, data);
+    if (!result.triggered) { delete armed[rule.id]; continue; }
+    if (armed[rule.id] || (rule.snoozedUntil && now < rule.snoozedUntil)) continue;
 
-  const trendHtml = {
-    rising:  '<span class="trend-arrow rising" title="Rising (>10% vs 24h ago)">\u2191</span>',
-    falling: '<span class="trend-arrow falling" title="Falling (>10% vs 24h ago)">\u2193</span>',
-    stable:  '<span class="trend-arrow stable" title="Stable">\u2192</span>',
-  }[trend] ?? '';
+    armed[rule.id] = true;
+    const title = describeRule(rule);
+    history.unshift({
+      id:           newId(),
+      ruleId:       rule.id,
+      title,
+      message:      result.message,
+      time:         new Date(now).toISOString(),
+      acknowledged: false,
+    });
+    notify(title, result.message, rule.id);
+  }
 
-  const badgeCls  = source === 'USGS' ? 'usgs' : source === 'USBR' ? 'usbr' : 'no-data';
-  const badgeTxt  = source ?? 'No Data';
-  const canvasId  = `chart-${station.id}`;
+  saveJSON(RULE_STATE_KEY, armed);
+  saveJSON(ALERT_HISTORY_KEY, history.slice(0, ALERT_HISTORY_MAX));
+  renderRuleList();   // snoozes may have lapsed
+  renderAlertHistory();
+}
 
-  if (!latestQ) {
-    card.innerHTML = `
-      <div class="station-accent" style="background:linear-gradient(90deg,${station.color},${station.color}88)"></div>
-      <div class="station-header">
-        <span class="station-name">${station.name}</span>
-        <span class="station-badge no-data">No Data</span>
-      </div>
-      <div class="no-data-overlay">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-          <circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/>
-          <line x1="12" y1="16" x2="12.01" y2="16"/>
-        </svg>
-        No streamflow data available
-        <span style="font-size:0.6rem;color:#444b6a">USGS ${station.usgsId ?? 'N/A'} &middot; USBR ${station.usbrId}</span>
-      </div>`;
-    card.classList.add('card-in');
+function renderRuleList() {
+  const list  = document.getElementById('rule-list');
+  const rules = loadJSON(RULES_KEY, []);
+  if (rules.length === 0) {
+    list.innerHTML = `<li class="rules-empty">No rules yet \u2014 e.g. Horlick water temp above ${state.units === 'metric' ? '20 \u00b0C' : '68 \u00b0F'}</li>`;
     return;
   }
+  const now = Date.now();
+  list.innerHTML = rules.map(r => `
+    <li class="rule-item${r.enabled ? '' : ' disabled'}" data-rule="${r.id}">
+      <label class="rule-toggle">
+        <input type="checkbox" data-action="toggle"${r.enabled ? ' checked' : ''} />
+        <span>${describeRule(r)}</span>
+      </label>
+      ${r.snoozedUntil && now < r.snoozedUntil
+        ? `<span class="rule-snoozed" title="Snoozed">\u23f8 until ${fmtDateTime(new Date(r.snoozedUntil))}</span>`
+        : ''}
+      <button class="rule-btn" data-action="delete" title="Delete rule" aria-label="Delete rule">\u00d7</button>
+    </li>`).join('');
+}
 
-  const tempHtml = latestT
-    ? `<div class="metric-badge">
-         <span class="metric-badge-value temp-value">${fmtTemp(latestT.value)}</span>
-         <span class="metric-badge-label temp-label">Water Temp</span>
-       </div>`
-    : '';
+function renderAlertHistory() {
+  const list    = document.getElementById('alert-history');
+  const badge   = document.getElementById('rules-unack');
+  const history = loadJSON(ALERT_HISTORY_KEY, []);
+  const unack   = history.filter(h => !h.acknowledged).length;
 
-  const stageHtml = latestH
-    ? `<div class="metric-badge">
-         <span class="metric-badge-value">${latestH.value.toFixed(2)} ft</span>
-         <span class="metric-badge-label">Stage</span>
-       </div>`
-    : '';
+  badge.textContent = unack;
+  badge.classList.toggle('hidden', unack === 0);
 
-  card.innerHTML = `
-    <div class="station-accent" style="background:linear-gradient(90deg,${station.color},${station.color}88)"></div>
-    <div class="station-header">
-      <span class="station-name">${station.name}</span>
-      <span class="station-badge ${badgeCls}">${badgeTxt}</span>
-    </div>
-    <div class="station-metrics">
-      <div class="flow-group">
-        <span class="flow-value" style="color:${station.color}">${fmtCfs(latestQ.value)}</span>
-        <span class="flow-unit">cfs</span>
-        ${trendHtml}
+  if (history.length === 0) {
+    list.innerHTML = '<li class="rules-empty">Nothing has fired yet</li>';
+    return;
+  }
+  list.innerHTML = history.map(h => `
+    <li class="history-item${h.acknowledged ? ' acked' : ''}" data-entry="${h.id}" data-rule="${h.ruleId}">
+      <div class="history-main">
+        <span class="history-title">${h.title}</span>
+        <span class="history-msg">${h.message}</span>
+        <span class="history-time">${fmtDateTime(new Date(h.time))}</span>
       </div>
-      <div class="secondary-metrics">${tempHtml}${stageHtml}</div>
-    </div>
-    <div class="station-chart-wrap"><canvas id="${canvasId}"></canvas></div>
-    <div class="station-footer">
-      <span>Updated ${fmtAge(latestQ.time)}</span>
-      <span>${station.usgsId ? 'USGS\u00a0' + station.usgsId : 'USBR\u00a0' + station.usbrId}</span>
-    </div>`;
+      <div class="history-actions">
+        ${h.acknowledged ? '' : '<button class="rule-btn" data-action="ack">Ack</button>'}
+        <button class="rule-btn" data-action="snooze" data-hours="1">1h</button>
+        <button class="rule-btn" data-action="snooze" data-hours="6">6h</button>
+        <button class="rule-btn" data-action="snooze" data-hours="24">24h</button>
+      </div>
+    </li>`).join('');
+}
 
-  card.classList.add('card-in');
+function renderRuleUnit() {
+  const param = document.getElementById('rule-param').value;
+  document.getElementById('rule-unit').textContent = unitLabel(RULE_PARAMS[param].kind);
+}
 
-  requestAnimationFrame(() => {
-    const canvas = document.getElementById(canvasId);
-    if (canvas) createHydrograph(canvas, data, station);
+function updateRule(ruleId, patch) {
+  const rules = loadJSON(RULES_KEY, []).map(r => (r.id === ruleId ? { ...r, ...patch } : r));
+  saveJSON(RULES_KEY, rules);
+  renderRuleList();
+}
+
+function initAlertRules() {
+  const form    = document.getElementById('rule-form');
+  const station = document.getElementById('rule-station');
+  const param   = document.getElementById('rule-param');
+  const kind    = document.getElementById('rule-kind');
+  const hours   = document.getElementById('rule-hours-wrap');
+
+  station.innerHTML = STATIONS.map(s => `<option value="${s.id}">${s.shortName}</option>`).join('');
+  param.addEventListener('change', renderRuleUnit);
+  renderRuleUnit();
+  kind.addEventListener('change', () => hours.classList.toggle('hidden', kind.value !== 'change'));
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const input = parseFloat(document.getElementById('rule-value').value);
+    const hrs   = parseFloat(document.getElementById('rule-hours').value);
+    if (isNaN(input) || (kind.value === 'change' && !(hrs > 0))) return;
+    // Typed in display units; stored canonical so a later unit switch doesn't move it
+    const unitKind = RULE_PARAMS[param.value].kind;
+    const value    = kind.value === 'change'
+      ? fromUnitDelta(unitKind, Math.abs(input))
+      : fromUnit(unitKind, input);
+    const rules = loadJSON(RULES_KEY, []);
+    rules.push({
+      id:           newId(),
+      stationId:    station.value,
+      param:        param.value,
+      kind:         kind.value,
+      value,
+      hours:        kind.value === 'change' ? hrs : null,
+      enabled:      true,
+      snoozedUntil: null,
+    });
+    saveJSON(RULES_KEY, rules);
+    renderRuleList();
+    form.reset();
+    hours.classList.add('hidden');
+    // Evaluate straight away against the data already loaded
+    if (state.lastRefresh) checkAlertRules();
+  });
+
+  document.getElementById('rule-list').addEventListener('click', e => {
+    const item = e.target.closest('[data-rule]');
+    const act  = e.target.dataset.action;
+    if (!item || !act) return;
+    if (act === 'toggle') updateRule(item.dataset.rule, { enabled: e.target.checked });
+    if (act === 'delete') {
+      saveJSON(RULES_KEY, loadJSON(RULES_KEY, []).filter(r => r.id !== item.dataset.rule));
+      renderRuleList();
+    }
   });
+
+  document.getElementById('alert-history').addEventListener('click', e => {
+    const item = e.target.closest('[data-entry]');
+    const act  = e.target.dataset.action;
+    if (!item || !act) return;
+    // Either action acknowledges the entry
+    saveJSON(ALERT_HISTORY_KEY, loadJSON(ALERT_HISTORY_KEY, [])
+      .map(h => (h.id === item.dataset.entry ? { ...h, acknowledged: true } : h)));
+    if (act === 'snooze') {
+      updateRule(item.dataset.rule, { snoozedUntil: Date.now() + parseFloat(e.target.dataset.hours) * 3600000 });
+    }
+    renderAlertHistory();
+  });
+
+  // Notification permission has to come from a click
+  const notifyBtn = document.getElementById('notify-btn');
+  const syncNotifyBtn = () => {
+    const perm = typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+    notifyBtn.textContent = { granted: 'Notifications on', denied: 'Notifications blocked', unsupported: 'No notification support' }[perm]
+      ?? 'Enable notifications';
+    notifyBtn.disabled = perm !== 'default';
+  };
+  notifyBtn.addEventListener('click', () => Notification.requestPermission().then(syncNotifyBtn));
+  syncNotifyBtn();
+
+  renderRuleList();
+  renderAlertHistory();
 }
 
 // =====================================================================
-// UI — WEATHER CARDS
+// SOURCES — adapter registry + per-parameter merge
+// Every adapter fetches one upstream for a station and resolves the
+// common shape { discharge, waterTemp, gageHeight, missing, staleSince }
+// (any subset). For each parameter a station tries the adapters in its
+// priority list (STATIONS[].sources, else SOURCE_PRIORITY) and takes the
+// first with readings, so USGS discharge can sit beside USBR temperature
+// and NWS stage. Each adapter is fetched at most once per station, and
+// only when a parameter actually falls through to it.
 // =====================================================================
 
-function renderWeatherSkeletons() {
-  const grid = document.getElementById('weather-grid');
-  grid.innerHTML = WEATHER_LOCATIONS.map(loc => `
-    <div class="weather-card" id="wx-${loc.name.replace(/\s+/g, '_')}">
-      <div class="weather-header">
-        <div class="weather-location">${loc.name}</div>
-      </div>
-      <div class="weather-main" style="gap:14px;padding-bottom:14px">
-        <div class="skel" style="position:relative;overflow:hidden;width:48px;height:48px;border-radius:8px;display:inline-block"></div>
-        <div>
-          <div class="skel" style="position:relative;overflow:hidden;width:80px;height:1.9rem;display:inline-block;margin-bottom:6px;border-radius:4px"></div>
-          <div class="skel" style="position:relative;overflow:hidden;width:120px;height:0.75em;display:block;border-radius:4px"></div>
-        </div>
-      </div>
-    </div>
-  `).join('');
+const OBSERVED_PARAMS = ['discharge', 'gageHeight', 'waterTemp'];
+
+const SOURCE_PRIORITY = {
+  discharge:  ['USGS', 'USBR'],
+  gageHeight: ['USGS', 'NWPS'],
+  waterTemp:  ['USGS', 'USBR', 'NWRFC'],
+};
+
+const SOURCE_ADAPTERS = {
+  USGS: {
+    label:     'USGS',
+    params:    ['discharge', 'gageHeight', 'waterTemp'],
+    available: st => !!st.usgsId,
+    fetch:     (st, range) => fetchCached(`USGS:${st.usgsId}:${range.daily ? 'dv' : 'iv'}`, range,
+      r => fetchUSGS(st.usgsId, r)),
+  },
+  USBR: {
+    label:     'USBR',
+    params:    ['discharge', 'waterTemp'],
+    available: st => !!st.usbrId,
+    fetch:     (st, range) => fetchCached(`USBR:${st.usbrId}:${range.daily ? 'dv' : 'iv'}`, range,
+      r => fetchUSBR(st.usbrId, r)),
+  },
+  NWRFC: {
+    label:     'NWRFC',
+    params:    ['waterTemp'],
+    available: st => !!st.nwrfcId,
+    fetch:     (st, range) => fetchCached(`NWRFC:${st.nwrfcId}:iv`, range,
+      async r => ({ waterTemp: await fetchNWRFCTemp(st.nwrfcId, r) }),
+      { params: ['waterTemp'] }),
+  },
+  // Observed stage and the NWS forecast share one stageflow response. Each
+  // issuance replaces the last, so never incremental; every fresh one is
+  // also archived for verification. A custom range is a fixed window in
+  // the past — nothing to forecast, and NWPS keeps only recent readings.
+  NWPS: {
+    label:     'NWS',
+    params:    ['gageHeight'],
+    available: (st, range) => !!st.nwsLid && !range.custom,
+    fetch:     (st, range) => fetchCached(`NWS:${st.nwsLid}:fcst`, range,
+      async () => {
+        const sf = await fetchNWSStageflow(st.nwsLid);
+        await archiveForecast(st.nwsLid, sf.issued, sf.forecast.discharge);
+        return {
+          issued:        sf.issued,
+          forecast:      sf.forecast.discharge,
+          stageForecast: sf.forecast.gageHeight,
+          gageHeight:    sf.observed.gageHeight,
+        };
+      },
+      { params: ['forecast', 'stageForecast', 'gageHeight'], incremental: false }),
+  },
+};
+
+function sourcePriority(station, param) {
+  return station.sources?.[param] ?? SOURCE_PRIORITY[param];
 }
 
-function renderWeatherCard(loc, data) {
-  const id   = `wx-${loc.name.replace(/\s+/g, '_')}`;
-  const card = document.getElementById(id);
-  if (!card) return;
+/**
+ * Observed series merged per parameter:
+ *   { discharge, gageHeight, waterTemp, missing, sources: { param: adapterId }, staleSince }
+ * `fetchSource(id)` hands out the same (memoized) adapter result for
+ * other uses, e.g. the forecast riding along with NWPS stage.
+ */
+async function loadObserved(station, range) {
+  const pending     = {};
+  const fetchSource = id => (pending[id] ??= SOURCE_ADAPTERS[id].fetch(station, range).catch(err => {
+    console.info(`[${id} ${station.id}] ${err.message}`);
+    return null;
+  }));
 
-  if (!data) {
-    card.innerHTML = `
-      <div class="weather-header"><div class="weather-location">${loc.name}</div></div>
-      <div class="no-data-overlay">Weather data unavailable</div>`;
-    return;
+  const out = { discharge: [], gageHeight: [], waterTemp: [], missing: [], sources: {}, staleSince: null };
+  for (const param of OBSERVED_PARAMS) {
+    for (const id of sourcePriority(station, param)) {
+      const adapter = SOURCE_ADAPTERS[id];
+      if (!adapter?.params.includes(param) || !adapter.available(station, range)) continue;
+      const d = await fetchSource(id);
+      if (!d?.[param]?.length) continue;
+      out[param] = d[param];
+      out.missing.push(...(d.missing ?? []).filter(m => m.param === param));
+      out.sources[param] = id;
+      // Stale as of the oldest cache actually used
+      if (d.staleSince && (!out.staleSince || d.staleSince < out.staleSince)) out.staleSince = d.staleSince;
+      break;
+    }
   }
+  return { observed: out, fetchSource };
+}
 
-  const cur    = data.current;
-  const daily  = data.daily;
-  const emoji  = wmoToEmojiSafe(cur.weather_code);
-  const desc   = wmoToDesc(cur.weather_code);
-  const canvasId = `wxchart-${loc.name.replace(/\s+/g, '_')}`;
+/** Card badges: one per source, listing what it supplied, e.g. "USBR Q·T" + "NWS H". */
+function sourceBadgesHTML(sources) {
+  const short  = { discharge: 'Q', gageHeight: 'H', waterTemp: 'T' };
+  const long   = { discharge: 'Discharge', gageHeight: 'Stage', waterTemp: 'Water temp' };
+  const bySrc  = {};
+  for (const param of OBSERVED_PARAMS) {
+    if (sources?.[param]) (bySrc[sources[param]] ??= []).push(param);
+  }
+  const ids = Object.keys(bySrc);
+  if (!ids.length) return '<span class="station-badge no-data">No Data</span>';
+  return ids.map(id => `<span class="station-badge ${id.toLowerCase()}" title="${bySrc[id].map(p => `${long[p]}: ${SOURCE_ADAPTERS[id].label}`).join('\n')}">`
+    + `${SOURCE_ADAPTERS[id].label}${ids.length > 1 ? ` ${bySrc[id].map(p => short[p]).join('\u00b7')}` : ''}</span>`).join('');
+}
 
-  // Tomorrow's high/low for context
-  const tmwHigh = daily?.temperature_2m_max?.[1]?.toFixed(0) ?? '—';
-  const tmwLow  = daily?.temperature_2m_min?.[1]?.toFixed(0) ?? '—';
+// =====================================================================
+// BASIN API — one aggregated document from server.js
+// Served by server.js, /api/basin?days=N returns every station, forecast,
+// weather location, alert, reservoir and SNOTEL site in one response,
+// fetched and cached server-side so a room full of dashboards makes one
+// set of upstream calls. Elsewhere (server.py, static hosting, file://)
+// the endpoint is missing: refresh() fetches each upstream directly and
+// stops asking for the rest of the session. Custom ranges always go direct.
+// Dates travel as ISO strings and are revived on parse.
+// =====================================================================
 
-  card.innerHTML = `
-    <div class="weather-header">
-      <div class="weather-location">${loc.name}</div>
-      <span style="font-size:0.65rem;color:#565f89">Tomorrow ${tmwHigh}\u00b0 / ${tmwLow}\u00b0</span>
-    </div>
-    <div class="weather-main">
-      <div class="weather-icon">${emoji}</div>
-      <div class="weather-temp-group">
-        <span class="weather-temp">${Math.round(cur.temperature_2m)}\u00b0</span>
-        <span class="weather-condition">${desc}</span>
-        <span class="weather-feels">Feels like ${Math.round(cur.apparent_temperature)}\u00b0F</span>
-      </div>
-    </div>
-    <div class="weather-details">
-      <div class="w-detail">
-        <span class="w-detail-val">${cur.wind_speed_10m.toFixed(0)} mph</span>
-        <span class="w-detail-lbl">Wind</span>
-      </div>
-      <div class="w-detail">
-        <span class="w-detail-val">${cur.relative_humidity_2m}%</span>
-        <span class="w-detail-lbl">Humidity</span>
-      </div>
-      <div class="w-detail">
-        <span class="w-detail-val">${cur.precipitation.toFixed(2)}"</span>
-        <span class="w-detail-lbl">Precip (1h)</span>
-      </div>
-    </div>
-    <div class="weather-chart-wrap">
-      <div class="weather-chart-label">7-Day &mdash; High/Low \u00b0F &amp; Precip Probability</div>
-      <canvas id="${canvasId}"></canvas>
-    </div>`;
+const BASIN_ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
 
-  card.classList.add('card-in');
+let basinAvailable = true;
 
-  requestAnimationFrame(() => {
-    const canvas = document.getElementById(canvasId);
-    if (canvas) createWeatherChart(canvas, daily, loc.name);
-  });
+function reviveDates(_key, v) {
+  return typeof v === 'string' && BASIN_ISO_DATE.test(v) ? new Date(v) : v;
+}
+
+/** The basin document for a preset range, or null to fetch directly. */
+async function fetchBasin(range) {
+  if (!basinAvailable || range.custom || !useProxy() || REPLAY.mode === 'mock') return null;
+  const ctrl  = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), 45000);
+  try {
+    const res = await fetch(`/api/basin?days=${state.currentDays}`, { signal: ctrl.signal });
+    clearTimeout(timer);
+    if (res.status === 404) {
+      basinAvailable = false;
+      return null;
+    }
+    if (!res.ok) throw new Error(`basin: HTTP ${res.status}`);
+    return JSON.parse(await res.text(), reviveDates);
+  } catch (err) {
+    console.info(`[basin] ${err.message} \u2014 fetching upstreams directly`);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Station data from the basin document, plus this browser's forecast archive. */
+async function withForecastArchive(station, data) {
+  if (!station.nwsLid) return data;
+  await archiveForecast(station.nwsLid, data.forecastIssued, data.forecast ?? []);
+  return { ...data, forecastArchive: await loadForecastArchive(station.nwsLid) };
 }
 
 // =====================================================================
-// UI — ALERTS + STATUS
+// MAIN REFRESH
 // =====================================================================
 
-function renderAlerts(alerts) {
-  const pill = document.getElementById('alert-pill');
-  const text = document.getElementById('alert-text');
-  if (!alerts || alerts.length === 0) {
-    pill.classList.add('hidden');
-    return;
+/**
+ * Everything a station card shows for one range: observed series merged
+ * per parameter (see SOURCES), the NWS forecast and its archive, flood
+ * thresholds and day-of-year statistics.
+ * Used by refresh() and, in Node, by server.js for /api/basin.
+ */
+async function loadStationData(station, range) {
+  const { observed, fetchSource } = await loadObserved(station, range);
+
+  // NWS river forecast — memoized with NWPS stage, so one request either way
+  let forecast = [];
+  let stageForecast = [];
+  let forecastIssued = null;
+  let forecastArchive = [];
+  if (SOURCE_ADAPTERS.NWPS.available(station, range)) {
+    const f = await fetchSource('NWPS');
+    if (f) {
+      ({ forecast, stageForecast } = f);
+      forecastIssued = f.issued ?? null;   // absent when served from cache
+    }
+    forecastArchive = await loadForecastArchive(station.nwsLid);
   }
-  pill.classList.remove('hidden');
-  text.textContent = alerts[0].event;
-  pill.title = alerts.map(a => a.headline).join('\n');
-}
 
-function setStatus(level, label) {
-  const dot = document.getElementById('status-dot');
-  const lbl = document.getElementById('status-label');
-  dot.className = `status-dot ${level}`;
-  lbl.textContent = label;
+  // Flood thresholds change rarely — fetch once per session
+  if (station.nwsLid && !(station.nwsLid in state.gaugeMeta)) {
+    try {
+      state.gaugeMeta[station.nwsLid] = await fetchNWSGauge(station.nwsLid);
+    } catch (err) {
+      console.warn(`[NWS gauge ${station.nwsLid}] ${err.message}`);
+    }
+  }
+
+  // Day-of-year percentiles (cached, misses included; see loadFlowStats)
+  const stats = await loadFlowStats(station);
+
+  return {
+    ...observed,
+    forecast,
+    forecastIssued,
+    stageForecast,
+    forecastArchive,
+    thresholds: state.gaugeMeta[station.nwsLid] ?? null,
+    stats,
+  };
 }
 
-// =====================================================================
-// MAIN REFRESH
-// =====================================================================
-
 async function refresh() {
   if (state.isRefreshing) return;
   state.isRefreshing = true;
@@ -1037,64 +4858,27 @@ async function refresh() {
   refreshBtn.classList.add('spinning');
   setStatus('loading', 'Fetching data\u2026');
 
-  const days = state.currentDays;
+  const range = getRange();
 
   try {
-    // All station fetches in parallel
-    const stationJobs = STATIONS.map(async station => {
-      let result = null;
-      let source = null;
-
-      if (station.usgsId) {
-        try {
-          const d = await fetchUSGS(station.usgsId, days);
-          if (d.discharge.length > 0) { result = d; source = 'USGS'; }
-        } catch (err) {
-          console.warn(`[USGS ${station.usgsId}]`, err.message);
-        }
-      }
-
-      if (!result && station.usbrId) {
-        try {
-          const d = await fetchUSBR(station.usbrId, days);
-          if (d && d.discharge.length > 0) { result = d; source = 'USBR'; }
-        } catch (err) {
-          console.info(`[USBR ${station.usbrId}] ${err.message} (CORS or unavailable)`);
-        }
-      }
+    const basin = await fetchBasin(range);
 
-      // Supplement with NWRFC water temperature if available and not already present
-      if (result && station.nwrfcId && result.waterTemp.length === 0) {
-        try {
-          const twData = await fetchNWRFCTemp(station.nwrfcId, days);
-          if (twData.length > 0) result.waterTemp = twData;
-        } catch (err) {
-          console.info(`[NWRFC ${station.nwrfcId}] ${err.message}`);
-        }
-      }
-
-      // Fetch NWS river forecast in parallel with observed data (CORS-enabled)
-      let forecast = [];
-      if (station.nwsLid) {
-        try {
-          forecast = await fetchNWSForecast(station.nwsLid);
-        } catch (err) {
-          console.warn(`[NWS forecast ${station.nwsLid}] ${err.message}`);
-        }
-      }
-
-      state.stationData[station.id] = {
-        ...(result ?? { discharge: [], waterTemp: [], gageHeight: [] }),
-        forecast,
-        source,
-      };
+    // All station fetches in parallel — from the basin document when there
+    // is one, so only this browser's forecast archive is still local. A
+    // station the server couldn't load comes back null (or without flow) and
+    // is fetched here instead, where the IndexedDB cache can stand in.
+    const stationJobs = STATIONS.map(async station => {
+      const served = basin?.stations?.[station.id];
+      state.stationData[station.id] = served?.discharge?.length
+        ? await withForecastArchive(station, served)
+        : await loadStationData(station, range);
       renderStationCard(station, state.stationData[station.id]);
     });
 
     // All weather fetches in parallel
     const weatherJobs = WEATHER_LOCATIONS.map(async loc => {
       try {
-        const d = await fetchWeather(loc.lat, loc.lng);
+        const d = basin?.weather?.[loc.name] ?? await fetchWeather(loc.lat, loc.lng);
         state.weatherData[loc.name] = d;
         renderWeatherCard(loc, d);
       } catch (err) {
@@ -1104,21 +4888,33 @@ async function refresh() {
     });
 
     // NWS alerts
-    const alertJob = fetchNWSAlerts().then(renderAlerts).catch(() => {});
+    const alertJob = (basin ? Promise.resolve(basin.alerts) : fetchNWSAlerts()).then(renderAlerts).catch(() => {});
+
+    // Reservoir storage (daily; independent of the selected range)
+    const reservoirJob = (basin?.reservoirs ? Promise.resolve(basin.reservoirs) : fetchReservoirs())
+      .then(d => { state.reservoirData = d; })
+      .catch(err => console.info(`[USBR reservoirs] ${err.message}`))
+      .finally(renderReservoirs);
+
+    // SNOTEL snowpack
+    const snowJob = (basin?.snotel ? Promise.resolve(basin.snotel) : fetchSnotel())
+      .then(d => { state.snotelData = d; updateSnotelMarkers(); renderRainOnSnow(); })
+      .catch(err => console.info(`[AWDB] ${err.message}`))
+      .finally(renderSnowpack);
 
-    await Promise.allSettled([...stationJobs, ...weatherJobs, alertJob]);
+    await Promise.allSettled([...stationJobs, ...weatherJobs, alertJob, reservoirJob, snowJob]);
 
     updateMapMarkers();
+    renderComparison();
+    state.travel = estimateTravelTimes(range);
+    renderTravelNotes();
+    renderConditions();
+    if (state.detailStation) renderStationDetail();
     state.lastRefresh = new Date();
+    renderRefreshStatus();
 
-    const loaded = Object.values(state.stationData).filter(d => d.discharge.length > 0).length;
-    const total  = STATIONS.length;
-    setStatus(
-      loaded === 0 ? 'error' : loaded < total ? 'warn' : 'ok',
-      loaded === 0
-        ? 'No data loaded'
-        : `${loaded}/${total} stations \u00b7 ${fmtAge(state.lastRefresh)}`,
-    );
+    // Custom rules only make sense against real data (and see checkAlertRules)
+    if (REPLAY.mode !== 'mock') checkAlertRules();
   } catch (err) {
     console.error('[refresh]', err);
     setStatus('error', 'Refresh failed');
@@ -1127,32 +4923,721 @@ async function refresh() {
     state.isRefreshing = false;
     refreshBtn.classList.remove('spinning');
   }
+
+  // The range changed mid-refresh (buttons, back/forward) — load the new one
+  if (state.reloadQueued) {
+    state.reloadQueued = false;
+    reloadStations();
+  }
 }
 
 // =====================================================================
 // WINDY EMBED — overlay switcher
 // =====================================================================
 
-function initWindyOverlays() {
-  const btns   = document.querySelectorAll('.windy-btn');
+function windyUrl(overlay) {
+  const metric = state.units === 'metric';
+  return 'https://embed.windy.com/embed2.html' +
+    '?lat=46.862&lon=-120.472&detailLat=46.862&detailLon=-120.472' +
+    '&zoom=8&level=surface&overlay=' + overlay +
+    '&product=ecmwf&menu=&message=true&marker=true&calendar=now' +
+    '&pressure=&type=map&location=coordinates&detail=true' +
+    (metric ? '&metricWind=km%2Fh&metricTemp=%C2%B0C' : '&metricWind=mph&metricTemp=%C2%B0F') +
+    '&radarRange=-1';
+}
+
+function setWindyOverlay(overlay) {
   const iframe = document.getElementById('windy-iframe');
-  if (!iframe || !btns.length) return;
+  if (!iframe) return;
+  document.querySelectorAll('.windy-btn')
+    .forEach(b => b.classList.toggle('active', b.dataset.overlay === overlay));
+  state.windyOverlay = overlay;
+  iframe.src = windyUrl(overlay);
+}
+
+function initWindyOverlays() {
+  document.querySelectorAll('.windy-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      setWindyOverlay(btn.dataset.overlay);
+      syncURL(true);
+    });
+  });
+}
+
+// =====================================================================
+// UNITS — US customary / metric toggle
+// Everything re-renders from state; nothing is refetched.
+// =====================================================================
 
-  function windyUrl(overlay) {
-    return 'https://embed.windy.com/embed2.html' +
-      '?lat=46.862&lon=-120.472&detailLat=46.862&detailLon=-120.472' +
-      '&zoom=8&level=surface&overlay=' + overlay +
-      '&product=ecmwf&menu=&message=true&marker=true&calendar=now' +
-      '&pressure=&type=map&location=coordinates&detail=true' +
-      '&metricWind=mph&metricTemp=%C2%B0F&radarRange=-1';
+function applyUnits() {
+  for (const station of STATIONS) {
+    if (station.id in state.stationData) renderStationCard(station, state.stationData[station.id]);
+  }
+  for (const loc of WEATHER_LOCATIONS) {
+    if (loc.name in state.weatherData) renderWeatherCard(loc, state.weatherData[loc.name]);
+  }
+  if (state.lastRefresh) {
+    renderComparison();
+    renderConditions();
+    renderReservoirs();
+    renderSnowpack();
+  }
+  updateMapMarkers();
+  updateSnotelMarkers();
+  if (state.detailStation) renderStationDetail();
+  renderRuleList();
+  renderRuleUnit();
+
+  setWindyOverlay(state.windyOverlay);
+}
+
+function initUnitToggle() {
+  const btns = document.querySelectorAll('.unit-btn');
+  const mark = () => btns.forEach(b => b.classList.toggle('active', b.dataset.units === state.units));
+  mark();
+
+  btns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (btn.dataset.units === state.units) return;
+      state.units = btn.dataset.units;
+      saveJSON('yakima.units', state.units);
+      mark();
+      applyUnits();
+    });
+  });
+}
+
+// =====================================================================
+// TIME RANGE — preset buttons + custom start/end picker
+// =====================================================================
+
+/** Re-fetch for a new range; during a refresh, once that refresh ends. */
+function reloadStations() {
+  if (state.isRefreshing) {
+    state.reloadQueued = true;
+    return;
   }
+  destroyAllCharts();
+  renderStationSkeletons();
+  refresh();
+}
+
+function initRangeControls() {
+  const btns  = document.querySelectorAll('.range-btn');
+  const form  = document.getElementById('custom-range');
+  const start = document.getElementById('range-start');
+  const end   = document.getElementById('range-end');
+
+  // Sensible defaults for the picker: the last 30 days, nothing in the future
+  const today = fmtISODate(new Date());
+  start.value = fmtISODate(new Date(Date.now() - 30 * 86400000));
+  end.value   = today;
+  start.max   = today;
+  end.max     = today;
 
   btns.forEach(btn => {
     btn.addEventListener('click', () => {
-      btns.forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      iframe.src = windyUrl(btn.dataset.overlay);
+      if (btn.dataset.range === 'custom') {
+        form.classList.toggle('hidden');
+        return;
+      }
+      setRange(btn.dataset.days === 'wytd' ? 'wytd' : parseInt(btn.dataset.days, 10), null);
+      syncURL(true);
+      reloadStations();
+    });
+  });
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    // Inputs are local dates; the end date is inclusive
+    const s = new Date(`${start.value}T00:00:00`);
+    const t = new Date(`${end.value}T23:59:59`);
+    if (isNaN(s) || isNaN(t) || s >= t) return;
+    setRange(state.currentDays, { start: s, end: t });
+    syncURL(true);
+    reloadStations();
+  });
+}
+
+/** Update state and the range buttons; the caller decides whether to reload. */
+function setRange(days, customRange) {
+  state.currentDays = days;
+  state.customRange = customRange;
+  document.querySelectorAll('.range-btn').forEach(b => b.classList.toggle('active', customRange
+    ? b.dataset.range === 'custom'
+    : b.dataset.days === String(days)));
+  document.getElementById('custom-range').classList.add('hidden');
+  if (customRange) {
+    document.getElementById('range-start').value = fmtISODate(customRange.start);
+    document.getElementById('range-end').value   = fmtISODate(customRange.end);
+  }
+}
+
+// =====================================================================
+// DEEP LINKS — view state in the query string
+//   ?days=3 | ?days=wytd | ?start=2026-05-01&end=2026-05-20
+//   &wx=snowcover            Windy overlay
+//   &map=47.050,-120.720,10  map centre + zoom
+//   &station=horlick         focused station card
+//   &detail=horlick          station detail view open
+// Defaults are left out so a plain URL stays plain. Range, overlay and
+// focus changes push a history entry; map pans replace the current one
+// so Back doesn't step through every drag.
+// =====================================================================
+
+const DEFAULT_VIEW = { days: 7, overlay: 'rain' };
+
+let applyingView = false;  // suppress URL writes while restoring from one
+
+function readViewFromURL(search = location.search) {
+  const q    = new URLSearchParams(search);
+  const view = {
+    days: DEFAULT_VIEW.days, customRange: null, overlay: DEFAULT_VIEW.overlay,
+    map: null, station: null, detail: null,
+  };
+
+  const days = q.get('days');
+  if (days === 'wytd') view.days = 'wytd';
+  else if (/^\d+$/.test(days ?? '') && document.querySelector(`.range-btn[data-days="${days}"]`)) {
+    view.days = parseInt(days, 10);
+  }
+
+  const start = new Date(`${q.get('start')}T00:00:00`);
+  const end   = new Date(`${q.get('end')}T23:59:59`);
+  if (!isNaN(start) && !isNaN(end) && start < end) view.customRange = { start, end };
+
+  const wx = q.get('wx');
+  if (wx && document.querySelector(`.windy-btn[data-overlay="${wx}"]`)) view.overlay = wx;
+
+  const [lat, lng, zoom] = (q.get('map') ?? '').split(',').map(Number);
+  if ([lat, lng, zoom].every(Number.isFinite)) view.map = { lat, lng, zoom };
+
+  const station = q.get('station');
+  if (STATIONS.some(st => st.id === station)) view.station = station;
+
+  const detail = q.get('detail');
+  if (STATIONS.some(st => st.id === detail)) view.detail = detail;
+
+  return view;
+}
+
+/** Query string for the current view, or for `overrides` on top of it. */
+function viewSearch(overrides = {}) {
+  const q = new URLSearchParams();
+  if (state.customRange) {
+    q.set('start', fmtISODate(state.customRange.start));
+    q.set('end',   fmtISODate(state.customRange.end));
+  } else if (state.currentDays !== DEFAULT_VIEW.days) {
+    q.set('days', state.currentDays);
+  }
+  if (state.windyOverlay !== DEFAULT_VIEW.overlay) q.set('wx', state.windyOverlay);
+  if (state.mapView) {
+    const { lat, lng, zoom } = state.mapView;
+    q.set('map', `${lat.toFixed(3)},${lng.toFixed(3)},${zoom}`);
+  }
+  const station = 'station' in overrides ? overrides.station : state.focusStation;
+  if (station) q.set('station', station);
+  const detail = 'detail' in overrides ? overrides.detail : state.detailStation;
+  if (detail) q.set('detail', detail);
+
+  // Keep anything else on the URL (e.g. debugging flags)
+  const known = ['days', 'start', 'end', 'wx', 'map', 'station', 'detail'];
+  for (const [k, v] of new URLSearchParams(location.search)) {
+    if (!known.includes(k)) q.set(k, v);
+  }
+  const str = q.toString().replace(/%2C/g, ',');  // keep map=lat,lng,zoom readable
+  return str ? `?${str}` : '';
+}
+
+function syncURL(push) {
+  if (applyingView) return;
+  const url = `${location.pathname}${viewSearch()}${location.hash}`;
+  if (url === `${location.pathname}${location.search}${location.hash}`) return;
+  history[push ? 'pushState' : 'replaceState'](null, '', url);
+}
+
+function focusStation(id, { scroll = true } = {}) {
+  state.focusStation = id;
+  for (const st of STATIONS) {
+    document.getElementById(`card-${st.id}`)?.classList.toggle('focused', st.id === id);
+  }
+  if (!id) return;
+  if (scroll) document.getElementById(`card-${id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  state.markers[id]?.openPopup();
+}
+
+/** Apply a parsed view. Reloads station data only if the range changed. */
+function applyView(view, { initial = false } = {}) {
+  applyingView = true;
+  try {
+    const sameRange = view.customRange
+      ? state.customRange?.start.getTime() === view.customRange.start.getTime() &&
+        state.customRange?.end.getTime() === view.customRange.end.getTime()
+      : !state.customRange && state.currentDays === view.days;
+    setRange(view.customRange ? state.currentDays : view.days, view.customRange);
+    if (!sameRange && !initial) reloadStations();
+
+    // The static iframe src is the default overlay in US units
+    if (view.overlay !== state.windyOverlay || (initial && state.units === 'metric')) {
+      setWindyOverlay(view.overlay);
+    }
+
+    // Unanimated so moveend fires while applyingView is still set
+    state.mapView = view.map;
+    if (view.map) state.map.setView([view.map.lat, view.map.lng], view.map.zoom, { animate: false });
+    else if (!initial) state.map.fitBounds(STATIONS.map(s => [s.lat, s.lng]), { padding: [36, 36], animate: false });
+
+    focusStation(view.station, { scroll: !!view.station && !view.detail });
+    if (view.detail) openStationDetail(view.detail);
+    else closeStationDetail();
+  } finally {
+    applyingView = false;
+  }
+}
+
+function initDeepLinks() {
+  applyView(readViewFromURL(), { initial: true });
+
+  window.addEventListener('popstate', () => applyView(readViewFromURL()));
+
+  // Only user-driven moves are recorded (restoring a view sets applyingView)
+  state.map.on('moveend', () => {
+    if (applyingView) return;
+    const c = state.map.getCenter();
+    state.mapView = { lat: c.lat, lng: c.lng, zoom: state.map.getZoom() };
+    syncURL(false);
+  });
+
+  for (const st of STATIONS) {
+    state.markers[st.id]?.on('click', () => {
+      focusStation(st.id);
+      syncURL(true);
+    });
+  }
+
+  document.getElementById('stations-grid').addEventListener('click', async e => {
+    const btn = e.target.closest('[data-copy-link]');
+    if (!btn) return;
+    const url = `${location.origin}${location.pathname}${viewSearch({ station: btn.dataset.copyLink })}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      btn.classList.add('copied');
+      btn.title = 'Link copied';
+      setTimeout(() => { btn.classList.remove('copied'); btn.title = 'Copy link to this station'; }, 1500);
+    } catch (_) {
+      // Clipboard needs a secure context; let the user copy by hand
+      window.prompt('Copy link:', url);
+    }
+  });
+}
+
+// =====================================================================
+// STATION DETAIL — full-size view of one station (?detail=<id>)
+// Opened from a card or map popup. Uses every reading in the current range
+// (no downsampling) on linear time axes; chartjs-plugin-zoom adds wheel /
+// pinch / shift-drag zoom and drag-to-pan on the x axis.
+// =====================================================================
+
+const DETAIL_PANELS = [
+  { key: 'discharge',  label: 'Discharge',        kind: 'flow',   color: null,      forecast: 'forecast' },
+  { key: 'gageHeight', label: 'Stage',            kind: 'length', color: '#bb9af7', forecast: 'stageForecast' },
+  { key: 'waterTemp',  label: 'Water Temperature', kind: 'temp',  color: '#ff9e64' },
+  { key: 'forecast',   label: 'NWS Forecast',     kind: 'flow',   color: '#7dcfff' },
+];
+
+// 1 cfs flowing for one second, in acre-feet
+const AF_PER_CFS_SECOND = 1 / 43560;
+
+// Gaps longer than this are left out of the volume instead of bridged
+const VOLUME_MAX_GAP_MS = 24 * 3600000;
+
+/**
+ * Min / max (with times), time-weighted mean and — for discharge — the
+ * volume passed over the series, by trapezoids between readings.
+ */
+function periodStats(values, { volume = false } = {}) {
+  const pts = (values ?? []).filter(v => v.value !== null && !isNaN(v.value)).sort((a, b) => a.time - b.time);
+  if (pts.length === 0) return null;
+
+  let min = pts[0], max = pts[0], area = 0, span = 0;
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1], b = pts[i];
+    if (b.value < min.value) min = b;
+    if (b.value > max.value) max = b;
+    const dt = b.time - a.time;
+    if (dt > 0 && dt <= VOLUME_MAX_GAP_MS) {
+      area += (a.value + b.value) / 2 * dt;
+      span += dt;
+    }
+  }
+  const mean = span > 0 ? area / span : pts.reduce((acc, v) => acc + v.value, 0) / pts.length;
+  return {
+    min, max, mean,
+    count:  pts.length,
+    first:  pts[0].time,
+    last:   pts[pts.length - 1].time,
+    volume: volume ? area / 1000 * AF_PER_CFS_SECOND : null,
+  };
+}
+
+function stationLinks(station) {
+  const links = [];
+  if (station.usgsId) {
+    links.push({ label: `USGS ${station.usgsId}`, url: `https://waterdata.usgs.gov/monitoring-location/${station.usgsId}/` });
+  }
+  if (station.usbrId) {
+    links.push({ label: `USBR ${station.usbrId}`, url: `https://www.usbr.gov/pn-bin/instant.pl?list=${station.usbrId.toLowerCase()}%20q&back=168&format=html` });
+  }
+  if (station.nwsLid) {
+    links.push({ label: `NWPS ${station.nwsLid}`, url: `https://water.noaa.gov/gauges/${station.nwsLid.toLowerCase()}` });
+  }
+  return links;
+}
+
+function openStationDetail(id) {
+  state.detailStation = id;
+  document.body.classList.add('detail-open');
+  document.getElementById('station-detail').classList.remove('hidden');
+  window.scrollTo({ top: 0 });
+  renderStationDetail();
+}
+
+function closeStationDetail() {
+  if (!state.detailStation) return;
+  state.detailStation = null;
+  document.body.classList.remove('detail-open');
+  document.getElementById('station-detail').classList.add('hidden');
+  for (const p of DETAIL_PANELS) {
+    const chart = state.charts[`detail_${p.key}`];
+    if (chart) { try { chart.destroy(); } catch (_) {} delete state.charts[`detail_${p.key}`]; }
+  }
+  // The map was display:none while the detail view was up
+  state.map?.invalidateSize();
+}
+
+function renderStationDetail() {
+  const station = STATIONS.find(s => s.id === state.detailStation);
+  if (!station) return;
+  const data = state.stationData[station.id];
+
+  document.getElementById('detail-title').textContent = station.name;
+  document.getElementById('detail-title').style.color = station.color;
+  document.getElementById('detail-links').innerHTML = stationLinks(station)
+    .map(l => `<a href="${l.url}" target="_blank" rel="noopener">${l.label} \u2197</a>`).join('');
+
+  const body = document.getElementById('detail-body');
+  if (!data) {
+    body.innerHTML = `<div class="no-data-overlay">${state.isRefreshing ? 'Loading\u2026' : 'No data for this station'}</div>`;
+    return;
+  }
+
+  const range = getRange();
+  const panels = DETAIL_PANELS.map(p => {
+    const has = data[p.key]?.length > 0;
+    return `
+      <div class="detail-panel${p.key === 'discharge' ? ' wide' : ''}">
+        <div class="detail-panel-head">
+          <span class="panel-title">${p.label} (${unitLabel(p.kind)})</span>
+          ${has ? `<button class="rule-btn" data-reset-zoom="detail_${p.key}">Reset zoom</button>` : ''}
+        </div>
+        <div class="detail-chart${p.key === 'discharge' ? ' tall' : ''}">
+          ${has ? `<canvas id="detail-${p.key}"></canvas>` : `<div class="no-data-overlay">No ${p.label.toLowerCase()} data</div>`}
+        </div>
+      </div>`;
+  }).join('');
+
+  const fmtBy = {
+    flow:   v => `${fmtFlow(v)} ${unitLabel('flow')}`,
+    length: v => fmtStage(v),
+    temp:   v => fmtTemp(v),
+  };
+  const rows = DETAIL_PANELS.map(p => {
+    const st = periodStats(data[p.key], { volume: p.key === 'discharge' });
+    if (!st) return '';
+    const fmt = fmtBy[p.kind];
+    return `
+      <tr>
+        <th>${p.label}</th>
+        <td>${fmt(st.min.value)}<small>${fmtDateTime(st.min.time)}</small></td>
+        <td>${fmt(st.max.value)}<small>${fmtDateTime(st.max.time)}</small></td>
+        <td>${fmt(st.mean)}</td>
+        <td>${st.volume !== null ? `${fmtVolume(st.volume)} ${unitLabel('volume')}` : '\u2014'}</td>
+        <td>${st.count.toLocaleString('en-US')}<small>${fmtDateLabel(st.first)} \u2013 ${fmtDateLabel(st.last)}</small></td>
+      </tr>`;
+  }).join('');
+
+  body.innerHTML = `
+    <div class="detail-grid">
+      ${panels}
+      <div class="detail-panel wide">
+        <div class="detail-panel-head">
+          <span class="panel-title">Period statistics \u00b7 ${range.custom
+            ? `${fmtDateLabel(range.start, true)} \u2013 ${fmtDateLabel(range.end, true)}`
+            : state.currentDays === 'wytd' ? 'water year to date' : `last ${range.days} days`}${range.daily ? ' (daily means)' : ''}</span>
+        </div>
+        <table class="detail-stats">
+          <thead><tr><th></th><th>Min</th><th>Max</th><th>Mean</th><th>Volume</th><th>Readings</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      ${data.waterTemp?.length ? waterTempHTML(station, data, range) : ''}
+      ${station.nwsLid ? forecastSkillHTML(data, range) : ''}
+    </div>`;
+
+  requestAnimationFrame(() => {
+    for (const p of DETAIL_PANELS) {
+      const canvas = document.getElementById(`detail-${p.key}`);
+      if (canvas) createDetailChart(canvas, p, data, station);
+    }
+  });
+}
+
+function waterTempHTML(station, data, range) {
+  const a     = tempAnalytics(station, data.waterTemp);
+  const limit = fmtTemp(a.criterion.maxF);
+  const head  = `
+    <div class="detail-panel-head">
+      <span class="panel-title">Water temperature \u00b7 ${a.criterion.label}: 7DADM \u2264 ${limit}</span>
+    </div>`;
+  if (range.daily || a.completeDays === 0) {
+    return `<div class="detail-panel wide">${head}
+      <div class="no-data-overlay">Daily maxima need sub-daily readings \u2014 pick a range of ${DAILY_THRESHOLD_DAYS} days or less.</div></div>`;
+  }
+
+  const t   = v => (v === null ? '\u2014' : fmtTemp(v));
+  const dd  = toUnitDelta('temp', a.degreeDays);
+  const rows = [...a.days].reverse().map(d => `
+    <tr class="${[d.exceeds && 'exceeds', !d.complete && 'partial'].filter(Boolean).join(' ')}">
+      <th>${fmtDateLabel(d.day)}${d.complete ? '' : `<small>${d.hours} h of data</small>`}</th>
+      <td>${t(d.max)}</td>
+      <td>${t(d.min)}</td>
+      <td>${t(d.mean)}</td>
+      <td>${t(d.sdadm)}</td>
+      <td>${d.exceeds ? '<span class="temp-exceed">Exceeds</span>' : ''}</td>
+    </tr>`).join('');
+
+  return `
+    <div class="detail-panel wide">
+      ${head}
+      <div class="temp-summary">
+        <span>Latest 7DADM <b>${a.latest ? t(a.latest.sdadm) : '\u2014'}</b>${a.latest ? `<small>${fmtDateLabel(a.latest.day)}</small>` : ''}</span>
+        <span>Highest 7DADM <b>${a.peak ? t(a.peak.sdadm) : '\u2014'}</b>${a.peak ? `<small>${fmtDateLabel(a.peak.day)}</small>` : ''}</span>
+        <span>Exceedance days <b class="${a.exceedances ? 'exceeds' : ''}">${a.exceedances}</b><small>of ${a.ratedDays} with a 7DADM</small></span>
+        <span>Degree-days <b>${Math.round(dd).toLocaleString('en-US')}</b><small>${unitLabel('temp')}\u00b7d over ${a.completeDays} complete day${a.completeDays === 1 ? '' : 's'}</small></span>
+      </div>
+      <div class="temp-days">
+        <table class="detail-stats">
+          <thead><tr><th>Day</th><th>Max</th><th>Min</th><th>Mean</th><th>7DADM</th><th></th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <div class="detail-note">7DADM is the mean of daily maxima from three days before to three days after; days with readings in fewer than ${TEMP_MIN_HOURS} hours are partial and not counted. Degree-days are above ${state.units === 'metric' ? '0\u00b0C' : '32\u00b0F'}. Criteria per WA Ecology (WAC 173-201A).</div>
+    </div>`;
+}
+
+function forecastSkillHTML(data, range) {
+  const archive = data.forecastArchive ?? [];
+  const oldest  = archive[0]?.issued;
+  const head    = `
+      <div class="detail-panel-head">
+        <span class="panel-title">NWS forecast skill by lead time \u00b7 ${archive.length} issuance${archive.length === 1 ? '' : 's'} archived${oldest ? ` since ${fmtDateLabel(oldest)}` : ''}</span>
+      </div>`;
+  if (range.daily) {
+    return `<div class="detail-panel wide">${head}
+      <div class="no-data-overlay">Forecasts are scored against hourly observations \u2014 pick a range of ${DAILY_THRESHOLD_DAYS} days or less.</div></div>`;
+  }
+
+  const skill   = scoreForecasts(archive, data.discharge);
+  const flowTxt = v => (v === null ? '\u2014' : `${v < 0 ? '\u2212' : v > 0 ? '+' : ''}${fmtFlow(Math.abs(v))}`);
+  const hrsTxt  = v => (v === null ? '\u2014' : `${v > 0 ? '+' : v < 0 ? '\u2212' : ''}${Math.abs(v).toFixed(1)} h`);
+  const rows = skill.map(r => `
+    <tr>
+      <th>${r.bucket}</th>
+      <td>${r.n}</td>
+      <td>${flowTxt(r.bias)}</td>
+      <td>${r.mae === null ? '\u2014' : fmtFlow(r.mae)}</td>
+      <td>${r.peaks}</td>
+      <td>${hrsTxt(r.peakBias)}<small>${r.peakMae === null ? '' : `mean |error| ${r.peakMae.toFixed(1)} h`}</small></td>
+    </tr>`).join('');
+  return `
+    <div class="detail-panel wide">${head}
+      ${skill.some(r => r.n) ? `
+        <table class="detail-stats">
+          <thead><tr><th>Lead</th><th>Pairs</th><th>Bias (${unitLabel('flow')})</th><th>MAE (${unitLabel('flow')})</th><th>Peaks</th><th>Peak timing</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <div class="detail-note">Bias and peak timing are forecast \u2212 observed: positive means too high / too late. Scored against the observed range currently loaded.</div>`
+        : '<div class="no-data-overlay">Not enough archived forecasts have verified yet \u2014 issuances are kept as they are fetched.</div>'}
+    </div>`;
+}
+
+function createDetailChart(canvasEl, panel, data, station) {
+  const key = `detail_${panel.key}`;
+  const existing = state.charts[key];
+  if (existing) { try { existing.destroy(); } catch (_) {} }
+
+  const color  = panel.color ?? station.color;
+  const toXY   = vals => [...vals].sort((a, b) => a.time - b.time)
+    .map(v => ({ x: v.time.getTime(), y: toUnit(panel.kind, v.value) }));
+  const datasets = [{
+    label:           panel.label,
+    data:            toXY(data[panel.key]),
+    borderColor:     color,
+    backgroundColor: color + '22',
+    borderWidth:     1.5,
+    pointRadius:     0,
+    pointHoverRadius: 3,
+    tension:         0.2,
+    fill:            panel.key === 'discharge',
+    spanGaps:        false,
+  }];
+
+  // Discharge and stage carry their forecast on from the last reading
+  const fcast   = panel.forecast ? data[panel.forecast] ?? [] : [];
+  const lastObs = getLatestValue(data[panel.key]);
+  if (fcast.length && lastObs) {
+    datasets.push({
+      label:       'Forecast',
+      data:        toXY([lastObs, ...fcast.filter(f => f.time > lastObs.time)]),
+      borderColor: color + '99',
+      borderWidth: 1.5,
+      borderDash:  [6, 4],
+      pointRadius: 0,
+      tension:     0.2,
+      fill:        false,
     });
+  }
+
+  // Water temperature adds the daily maxima and their 7DADM
+  let tempLimit = null;
+  if (panel.key === 'waterTemp' && !getRange().daily) {
+    const a      = tempAnalytics(station, data.waterTemp);
+    const rated  = a.days.filter(d => d.sdadm !== null);
+    const atNoon = d => d.day.getTime() + 12 * 3600000;
+    tempLimit = { label: `7DADM criterion ${fmtTemp(a.criterion.maxF)}`, color: '#f7768e', value: toUnit('temp', a.criterion.maxF) };
+    datasets.push({
+      label:           'Daily max',
+      data:            a.days.filter(d => d.complete).map(d => ({ x: atNoon(d), y: toUnit('temp', d.max) })),
+      borderColor:     'transparent',
+      backgroundColor: '#e0af68',
+      pointRadius:     2.5,
+      showLine:        false,
+    }, {
+      label:       '7DADM',
+      data:        rated.map(d => ({ x: atNoon(d), y: toUnit('temp', d.sdadm) })),
+      borderColor: '#f7768e',
+      borderWidth: 2,
+      pointRadius: rated.map(d => (d.exceeds ? 3 : 0)),   // exceedance days
+      pointBackgroundColor: '#f7768e',
+      tension:     0.2,
+      fill:        false,
+    });
+  }
+
+  const plugins = [crosshairPlugin];
+  const thresholds = panel.key === 'discharge' || panel.key === 'forecast'
+    ? data.thresholds?.flow
+    : panel.key === 'gageHeight' ? data.thresholds?.stage : null;
+  const levels = FLOOD_CATEGORIES
+    .map(c => ({ label: c.label, color: c.color, value: toUnit(panel.kind, thresholds?.[c.key]) }))
+    .filter(l => l.value != null);
+  if (tempLimit) levels.push(tempLimit);
+  if (levels.length) plugins.push(makeFloodBandsPlugin(levels));
+
+  const fmtY = v => panel.kind === 'flow' ? fmtFlowNum(v) : v.toFixed(panel.kind === 'temp' ? 1 : 2);
+
+  const chart = new Chart(canvasEl.getContext('2d'), {
+    type: 'line',
+    data: { datasets },
+    plugins,
+    options: {
+      responsive:          true,
+      maintainAspectRatio: false,
+      animation:           false,
+      parsing:             false,
+      interaction:         { intersect: false, mode: 'nearestPerDataset' },
+      plugins: {
+        legend: { display: datasets.length > 1, labels: { color: '#a9b1d6', font: { size: 10 }, boxWidth: 12 } },
+        tooltip: {
+          backgroundColor: '#24283b',
+          borderColor:     '#414868',
+          borderWidth:     1,
+          titleColor:      '#c0caf5',
+          bodyColor:       '#a9b1d6',
+          padding:         10,
+          cornerRadius:    6,
+          callbacks: {
+            title: items => items.length ? fmtDateTime(new Date(items[0].parsed.x)) : '',
+            label: ctx => ` ${ctx.dataset.label}: ${fmtY(ctx.parsed.y)} ${unitLabel(panel.kind)}`,
+          },
+        },
+        zoom: {
+          pan:    { enabled: true, mode: 'x' },
+          zoom:   {
+            wheel: { enabled: true },
+            pinch: { enabled: true },
+            drag:  { enabled: true, modifierKey: 'shift' },
+            mode:  'x',
+          },
+          limits: { x: { min: 'original', max: 'original' } },
+        },
+      },
+      scales: {
+        x: {
+          type:   'linear',
+          grid:   { color: 'rgba(41,53,90,0.35)', drawTicks: false },
+          ticks:  {
+            color: '#565f89', font: { size: 10 }, maxRotation: 0, maxTicksLimit: 10,
+            // Show clock times once zoomed in to a couple of days
+            callback(v) {
+              return this.max - this.min <= 2 * 86400000 ? fmtDateTime(new Date(v)) : fmtDateLabel(new Date(v));
+            },
+          },
+          border: { color: '#29355a' },
+        },
+        y: {
+          grid:   { color: 'rgba(41,53,90,0.35)' },
+          ticks:  { color: '#565f89', font: { size: 10 }, maxTicksLimit: 6, callback: v => fmtY(v) },
+          border: { color: '#29355a' },
+        },
+      },
+    },
+  });
+  chart.$crosshair = { label: crosshairLabel(datasets[0].data, y => `${fmtY(y)} ${unitLabel(panel.kind)}`) };
+  state.charts[key] = chart;
+  return chart;
+}
+
+function initStationDetail() {
+  // The UMD build registers itself on load; registering again is a no-op
+  if (window.ChartZoom) Chart.register(window.ChartZoom);
+
+  // Cards and map popups; controls inside a card keep their own behaviour
+  document.addEventListener('click', e => {
+    const link = e.target.closest('[data-detail]');
+    const card = e.target.closest('.station-card');
+    const id   = link?.dataset.detail
+      ?? (card && !e.target.closest('button, a, details, input, select') ? card.id.replace(/^card-/, '') : null);
+    if (!id || !STATIONS.some(s => s.id === id)) return;
+    e.preventDefault();
+    openStationDetail(id);
+    syncURL(true);
+  });
+
+  document.getElementById('detail-back').addEventListener('click', () => {
+    closeStationDetail();
+    syncURL(true);
+  });
+  document.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && state.detailStation) {
+      closeStationDetail();
+      syncURL(true);
+    }
+  });
+
+  document.getElementById('detail-body').addEventListener('click', e => {
+    const key = e.target.dataset.resetZoom;
+    if (key) state.charts[key]?.resetZoom?.();
   });
 }
 
@@ -1160,7 +5645,8 @@ function initWindyOverlays() {
 // INIT
 // =====================================================================
 
-document.addEventListener('DOMContentLoaded', () => {
+// Browser only — server.js loads this file in Node for the fetchers and parsers
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => {
   // Show loading skeletons immediately
   renderStationSkeletons();
   renderWeatherSkeletons();
@@ -1170,42 +5656,67 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Windy overlay switcher
   initWindyOverlays();
+  initUnitToggle();
+
+  // Flow / stage switch on each hydrograph
+  initHydrographToggle();
+
+  // ?mock= / ?record= notice (see REPLAY)
+  renderReplayBanner();
+
+  // Download menus (station cards + basin-wide)
+  initExportMenus();
+
+  // Multi-station comparison chart
+  initComparison();
+
+  // User-defined alert rules + history
+  initAlertRules();
+
+  // SNOTEL site picker
+  initSnowpack();
+
+  // NWS alert panel (opened from the header pill)
+  initAlertPanel();
 
   // Time-range buttons
-  document.querySelectorAll('.range-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('.range-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      state.currentDays = parseInt(btn.dataset.days, 10);
-      if (!state.isRefreshing) {
-        destroyAllCharts();
-        renderStationSkeletons();
-        refresh();
-      }
-    });
-  });
+  initRangeControls();
+
+  // Full-size station view (cards, popups, ?detail=)
+  initStationDetail();
+
+  // Restore range / overlay / map / station from the URL before the first fetch
+  initDeepLinks();
 
   // Manual refresh button
   document.getElementById('refresh-btn').addEventListener('click', () => {
     if (!state.isRefreshing) refresh();
   });
 
+  // Cache the app shell for offline use (needs http/https — not file://)
+  if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+    navigator.serviceWorker.register('sw.js').catch(err => console.info('[sw]', err.message));
+  }
+
   // Initial data load
   refresh();
 
-  // Auto-refresh every 15 minutes (skip if tab is hidden)
+  // Auto-refresh every 15 minutes (skip if tab is hidden or viewing a fixed past range)
   setInterval(() => {
-    if (document.visibilityState !== 'hidden' && !state.isRefreshing) refresh();
+    if (document.visibilityState !== 'hidden' && !state.isRefreshing && !state.customRange) refresh();
   }, REFRESH_MS);
 
   // Update age label every minute without re-fetching
   setInterval(() => {
-    if (state.lastRefresh && !state.isRefreshing) {
-      const loaded = Object.values(state.stationData).filter(d => d.discharge.length > 0).length;
-      setStatus(
-        loaded < STATIONS.length ? 'warn' : 'ok',
-        `${loaded}/${STATIONS.length} stations \u00b7 ${fmtAge(state.lastRefresh)}`,
-      );
-    }
+    if (state.lastRefresh && !state.isRefreshing) renderRefreshStatus();
   }, 60000);
 });
+
+// Node: what server.js builds /api/basin from
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STATIONS, WEATHER_LOCATIONS,
+    presetRange, loadStationData,
+    fetchWeather, fetchNWSAlerts, fetchReservoirs, fetchSnotel,
+  };
+}
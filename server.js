@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+'use strict';
+
+// =====================================================================
+// Yakima Basin Dashboard — Node server (Node 18+, no dependencies)
+//
+// Everything server.py does, plus one aggregated endpoint:
+//   /                  → static dashboard files
+//   /api/usbr?...      → https://www.usbr.gov/pn-bin/instant.pl?...
+//   /api/usbr-daily?...→ https://www.usbr.gov/pn-bin/daily.pl?...
+//   /api/nwrfc?...     → https://www.nwrfc.noaa.gov/station/flowplot/textPlot.cgi?...
+//   /api/awdb?...      → https://wcc.sc.egov.usda.gov/awdbRestApi/services/v1/data?...
+//   /api/basin?days=N  → every station, forecast, weather location, alert,
+//                        reservoir and SNOTEL site as one JSON document
+//
+// /api/basin runs app.js's own fetchers and parsers (loadStationData etc.)
+// so the browser and server agree on the data model. Upstream responses
+// are cached in memory per URL with a TTL per source (SOURCE_TTLS), and
+// identical requests in flight share one upstream call — however many
+// dashboards are open, each source is hit at most once per TTL.
+//
+// Usage:
+//   node server.js          # serves on http://localhost:8080
+//   node server.js 9000     # custom port
+// =====================================================================
+
+const http = require('http');
+const fs   = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const PORT = Number(process.argv[2]) || 8080;
+const ROOT = __dirname;
+
+const PROXY_ROUTES = {
+  '/api/usbr':       'https://www.usbr.gov/pn-bin/instant.pl',
+  '/api/usbr-daily': 'https://www.usbr.gov/pn-bin/daily.pl',
+  '/api/nwrfc':      'https://www.nwrfc.noaa.gov/station/flowplot/textPlot.cgi',
+  '/api/awdb':       'https://wcc.sc.egov.usda.gov/awdbRestApi/services/v1/data',
+};
+
+// How long an upstream response is reused, by host. Gauges report every
+// 15 min; forecasts, weather and snowpack change far less often.
+const SOURCE_TTLS = {
+  'waterservices.usgs.gov':  5 * 60000,
+  'www.usbr.gov':            5 * 60000,
+  'www.nwrfc.noaa.gov':     15 * 60000,
+  'api.water.noaa.gov':     15 * 60000,
+  'api.open-meteo.com':     30 * 60000,
+  'api.weather.gov':         2 * 60000,
+  'wcc.sc.egov.usda.gov':   3 * 3600000,
+};
+const DEFAULT_TTL_MS   = 5 * 60000;
+const UPSTREAM_TIMEOUT = 30000;
+const USER_AGENT       = 'YakimaBasinDashboard/1.0 (server.js)';
+
+// The assembled document is reused briefly so simultaneous page loads
+// don't each walk the (already cached) sources
+const BASIN_TTL_MS = 60000;
+
+// Only the dashboard itself is served — not server code, git metadata or
+// whatever else sits in the checkout
+const PUBLIC_FILES = new Set(['index.html', 'app.js', 'style.css', 'sw.js']);
+const PUBLIC_DIRS  = ['fixtures'];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png':  'image/png',
+  '.svg':  'image/svg+xml',
+  '.ico':  'image/x-icon',
+};
+
+// =====================================================================
+// UPSTREAM CACHE — wraps the global fetch used by app.js and the proxies
+// { url: { expires, status, contentType, body } }; failures are not cached.
+// =====================================================================
+
+const upstreamFetch = globalThis.fetch;
+const responses     = new Map();
+const inFlight      = new Map();
+
+function ttlFor(url) {
+  return SOURCE_TTLS[new URL(url).host] ?? DEFAULT_TTL_MS;
+}
+
+function pruneResponses(now) {
+  for (const [url, entry] of responses) {
+    if (entry.expires <= now) responses.delete(url);
+  }
+}
+
+async function fetchUpstream(url, headers) {
+  const res = await upstreamFetch(url, {
+    headers: { 'User-Agent': USER_AGENT, ...headers },
+    signal:  AbortSignal.timeout(UPSTREAM_TIMEOUT),
+  });
+  const entry = {
+    expires:     Date.now() + ttlFor(url),
+    status:      res.status,
+    contentType: res.headers.get('content-type') ?? 'text/plain',
+    body:        Buffer.from(await res.arrayBuffer()),
+  };
+  if (res.ok) {
+    pruneResponses(Date.now());
+    responses.set(url, entry);
+  }
+  return entry;
+}
+
+/** Cached upstream GET: { status, contentType, body }. */
+function cachedUpstream(url, headers = {}) {
+  const hit = responses.get(url);
+  if (hit && hit.expires > Date.now()) return Promise.resolve(hit);
+  if (!inFlight.has(url)) {
+    inFlight.set(url, fetchUpstream(url, headers).finally(() => inFlight.delete(url)));
+  }
+  return inFlight.get(url);
+}
+
+// app.js calls the global fetch; give it the cached one. Caller abort
+// signals are dropped — a shared request outlives any one caller.
+globalThis.fetch = async (input, init = {}) => {
+  const url = typeof input === 'string' ? input : input.url;
+  if ((init.method ?? 'GET') !== 'GET') return upstreamFetch(input, init);
+  const entry = await cachedUpstream(url, init.headers);
+  return new Response(entry.body, { status: entry.status, headers: { 'Content-Type': entry.contentType } });
+};
+
+const app = require('./app.js');
+
+// =====================================================================
+// /api/basin
+// =====================================================================
+
+const basinDocs = new Map();   // days → { expires, promise }
+
+function parseDays(value) {
+  if (value === 'wytd') return 'wytd';
+  const days = Number(value ?? 7);
+  return Number.isInteger(days) && days >= 1 && days <= 400 ? days : null;
+}
+
+/** Resolves null (and logs) instead of rejecting, so one source can't sink the document. */
+function settle(promise, label) {
+  return promise.catch(err => {
+    console.warn(`[basin] ${label}: ${err.message}`);
+    return null;
+  });
+}
+
+async function buildBasin(days) {
+  const range = app.presetRange(days);
+  const [stations, weather, alerts, reservoirs, snotel] = await Promise.all([
+    Promise.all(app.STATIONS.map(async s => {
+      // No flow means the upstreams failed — null sends the browser to its
+      // own fetch, which can fall back to the data it has cached
+      const data = await settle(app.loadStationData(s, range), s.id);
+      return [s.id, data?.discharge?.length ? data : null];
+    })),
+    Promise.all(app.WEATHER_LOCATIONS.map(async loc => [loc.name, await settle(app.fetchWeather(loc.lat, loc.lng), loc.name)])),
+    app.fetchNWSAlerts(),
+    settle(app.fetchReservoirs(), 'reservoirs'),
+    settle(app.fetchSnotel(), 'snotel'),
+  ]);
+  return {
+    generatedAt: new Date(),
+    days,
+    stations:    Object.fromEntries(stations),
+    weather:     Object.fromEntries(weather),
+    alerts,
+    reservoirs,
+    snotel,
+  };
+}
+
+function basinDocument(days) {
+  const cached = basinDocs.get(days);
+  if (cached && cached.expires > Date.now()) return cached.promise;
+  const promise = buildBasin(days).then(doc => JSON.stringify(doc));
+  basinDocs.set(days, { expires: Date.now() + BASIN_TTL_MS, promise });
+  promise.catch(() => basinDocs.delete(days));
+  return promise;
+}
+
+async function handleBasin(req, res, params) {
+  const days = parseDays(params.get('days'));
+  if (days === null) return sendText(res, 400, 'days must be 1–400 or wytd');
+  const json = await basinDocument(days);
+  const gzip = /\bgzip\b/.test(req.headers['accept-encoding'] ?? '');
+  const body = gzip ? zlib.gzipSync(json) : Buffer.from(json);
+  res.writeHead(200, {
+    'Content-Type':   'application/json; charset=utf-8',
+    'Content-Length': body.length,
+    'Cache-Control':  'no-store',
+    ...(gzip ? { 'Content-Encoding': 'gzip' } : {}),
+  });
+  res.end(body);
+}
+
+// =====================================================================
+// PROXIES + STATIC FILES
+// =====================================================================
+
+function sendText(res, status, text) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(text);
+}
+
+async function handleProxy(res, upstreamBase, search) {
+  const entry = await cachedUpstream(upstreamBase + search);
+  res.writeHead(entry.status, {
+    'Content-Type':                entry.contentType,
+    'Content-Length':              entry.body.length,
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(entry.body);
+}
+
+function handleStatic(res, pathname) {
+  let file;
+  try {
+    file = path.normalize(path.join(ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname)));
+  } catch (_) {
+    return sendText(res, 400, 'Bad request');
+  }
+  if (!file.startsWith(ROOT + path.sep)) return sendText(res, 403, 'Forbidden');
+  const rel = path.relative(ROOT, file).split(path.sep);
+  const isPublic = rel.length === 1 ? PUBLIC_FILES.has(rel[0]) : PUBLIC_DIRS.includes(rel[0]);
+  if (!isPublic) return sendText(res, 404, 'Not found');
+  fs.readFile(file, (err, body) => {
+    if (err) return sendText(res, 404, 'Not found');
+    res.writeHead(200, {
+      'Content-Type':   MIME_TYPES[path.extname(file)] ?? 'application/octet-stream',
+      'Content-Length': body.length,
+    });
+    res.end(body);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method !== 'GET' && req.method !== 'HEAD') return sendText(res, 405, 'Method not allowed');
+  try {
+    // Match the path exactly — /api/usbr is a prefix of /api/usbr-daily
+    if (url.pathname === '/api/basin') {
+      await handleBasin(req, res, url.searchParams);
+      console.log(`${new Date().toISOString()} GET ${url.pathname}${url.search}`);
+    } else if (url.pathname in PROXY_ROUTES) {
+      await handleProxy(res, PROXY_ROUTES[url.pathname], url.search);
+      console.log(`${new Date().toISOString()} GET ${url.pathname}`);
+    } else {
+      handleStatic(res, url.pathname);
+    }
+  } catch (err) {
+    console.warn(`[server] ${url.pathname}: ${err.message}`);
+    if (!res.headersSent) sendText(res, 502, `Upstream error: ${err.message}`);
+    else res.end();
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Yakima Dashboard → http://localhost:${PORT}`);
+  for (const [prefix, upstream] of Object.entries(PROXY_ROUTES)) {
+    console.log(`Proxy ${prefix.padEnd(16)} → ${upstream}`);
+  }
+  console.log(`Basin /api/basin?days=N (cached per source)`);
+  console.log('Press Ctrl+C to stop.\n');
+});
@@ -3,8 +3,13 @@
 Yakima Basin Dashboard — local development server.
 
 Serves the static dashboard files and proxies requests that lack CORS headers:
-  /api/usbr?...   → https://www.usbr.gov/pn-bin/instant.pl?...
-  /api/nwrfc?...  → https://www.nwrfc.noaa.gov/station/flowplot/textPlot.cgi?...
+  /api/usbr?...        → https://www.usbr.gov/pn-bin/instant.pl?...
+  /api/usbr-daily?...  → https://www.usbr.gov/pn-bin/daily.pl?...
+  /api/nwrfc?...       → https://www.nwrfc.noaa.gov/station/flowplot/textPlot.cgi?...
+  /api/awdb?...        → https://wcc.sc.egov.usda.gov/awdbRestApi/services/v1/data?...
+
+For the aggregated /api/basin endpoint with server-side caching, run
+server.js (Node 18+) instead — it serves the same files and proxies.
 
 Usage:
     python3 server.py          # serves on http://localhost:8080
@@ -20,18 +25,21 @@ import os
 PORT = int(sys.argv[1]) if len(sys.argv) > 1 else 8080
 
 PROXY_ROUTES = {
-    "/api/usbr":  "https://www.usbr.gov/pn-bin/instant.pl",
-    "/api/nwrfc": "https://www.nwrfc.noaa.gov/station/flowplot/textPlot.cgi",
+    "/api/usbr":       "https://www.usbr.gov/pn-bin/instant.pl",
+    "/api/usbr-daily": "https://www.usbr.gov/pn-bin/daily.pl",
+    "/api/nwrfc":      "https://www.nwrfc.noaa.gov/station/flowplot/textPlot.cgi",
+    "/api/awdb":       "https://wcc.sc.egov.usda.gov/awdbRestApi/services/v1/data",
 }
 
 
 class Handler(http.server.SimpleHTTPRequestHandler):
 
     def do_GET(self):
-        for prefix, upstream in PROXY_ROUTES.items():
-            if self.path.startswith(prefix):
-                self._proxy(upstream)
-                return
+        # Match the path exactly — /api/usbr is a prefix of /api/usbr-daily
+        route = self.path.split("?", 1)[0]
+        if route in PROXY_ROUTES:
+            self._proxy(PROXY_ROUTES[route])
+            return
         super().do_GET()
 
     def _proxy(self, upstream_base):
@@ -43,7 +51,7 @@ class Handler(http.server.SimpleHTTPRequestHandler):
                 target,
                 headers={"User-Agent": "YakimaBasinDashboard/1.0 (local proxy)"},
             )
-            with urllib.request.urlopen(req, timeout=15) as resp:
+            with urllib.request.urlopen(req, timeout=30) as resp:
                 body = resp.read()
                 content_type = resp.headers.get("Content-Type", "text/plain")
             self.send_response(200)
@@ -70,7 +78,7 @@ if __name__ == "__main__":
     server = http.server.HTTPServer(("", PORT), Handler)
     print(f"Yakima Dashboard → http://localhost:{PORT}")
     for prefix, upstream in PROXY_ROUTES.items():
-        print(f"Proxy {prefix:12s} → {upstream}")
+        print(f"Proxy {prefix:16s} → {upstream}")
     print("Press Ctrl+C to stop.\n")
     try:
         server.serve_forever()
@@ -0,0 +1,75 @@
+'use strict';
+
+// =====================================================================
+// SERVICE WORKER — app shell cache
+// Lets the dashboard open with no signal. Data is NOT cached here:
+// series live in IndexedDB (see CACHE in app.js), and API requests pass
+// straight through so the app can tell when an upstream is down.
+//
+// Shell files are network-first (so deploys show up on the next load),
+// falling back to the cached copy. CDN libraries are versioned URLs, so
+// they are served cache-first.
+// Bump SHELL_CACHE when the asset list changes.
+// =====================================================================
+
+const SHELL_CACHE = 'yakima-shell-v2';
+
+const SHELL_ASSETS = [
+  './',
+  'index.html',
+  'style.css',
+  'app.js',
+];
+
+const CDN_ASSETS = [
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js',
+  'https://cdn.jsdelivr.net/npm/hammerjs@2.0.8/hammer.min.js',
+  'https://cdn.jsdelivr.net/npm/chartjs-plugin-zoom@2.0.1/dist/chartjs-plugin-zoom.min.js',
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll([
+        ...SHELL_ASSETS,
+        ...CDN_ASSETS.map(url => new Request(url, { mode: 'cors' })),
+      ]))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== SHELL_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  if (CDN_ASSETS.includes(req.url)) {
+    event.respondWith(caches.match(req).then(hit => hit ?? fetch(req)));
+    return;
+  }
+
+  // Same-origin shell files only — /api/* proxies and upstream APIs pass through
+  if (url.origin !== location.origin || url.pathname.startsWith('/api/')) return;
+
+  event.respondWith(
+    fetch(req)
+      .then(res => {
+        if (res.ok) {
+          const copy = res.clone();
+          caches.open(SHELL_CACHE).then(cache => cache.put(req, copy));
+        }
+        return res;
+      })
+      .catch(() => caches.match(req, { ignoreSearch: req.mode === 'navigate' })),
+  );
+});